@@ -0,0 +1,162 @@
+// @ts-check
+// docs/lib/bus-departures.mjs
+// 埋め込み用の発車案内 <bus-departures>。盤面（index.html）と同じ lib/engine.mjs で時刻表とリアルタイム情報を結合する。
+//   <script type="module" src="https://<公開先>/lib/bus-departures.mjs"></script>
+//   <bus-departures from="260_1" to="434_5" rows="3" theme="dark"></bus-departures>
+// 属性:
+//   from / to: 停留所 ID（親停留所 "260" なら全のりば）。rows: 表示する便の数（既定 3）
+//   theme: "light"（既定）/ "dark" / "eink"（白黒・太字。電子ペーパー向け）
+//   lang: "ja" / "ja-Hrkt" / "en"（既定はブラウザの言語）。refresh: 更新間隔の秒（既定 30。0 で自動更新しない）
+//   base: 静的データ・realtime_*.json の置き場所（既定はこのファイルの 1 つ上 = docs/）
+// 色は CSS 変数（--bus-bg / --bus-fg / --bus-muted / --bus-accent / --bus-late / --bus-font）で上書きできる。
+// 同じ base の要素はフィードとリアルタイム情報の取得を共有する。
+import { loadFeed, adaptRtSnakeToCamel, todayYmdJst, serviceSecsToDate, toHHMM } from "./engine.mjs";
+import { createTranslator, createNameTranslator, fetchNames, pickLang } from "./i18n.mjs";
+
+const REALTIME_FEED_URL = "realtime_tripupdates.json";
+const DEFAULT_ROWS = 3;
+const DEFAULT_REFRESH_SEC = 30;
+const RT_SHARE_MS = 10_000;    // この間に来た要素どうしはリアルタイム情報の取得を使い回す
+const SHOW_PAST_MIN = 1;       // 発車後この分数までは残す（発車直後に消えてちらつかないように）
+const DEFAULT_BASE = new URL("../", import.meta.url).href;
+
+const STYLE = `
+  :host { display: block; font-family: var(--bus-font, system-ui, sans-serif); color: var(--bus-fg, #222);
+    background: var(--bus-bg, #fff); border-radius: .5em; padding: .6em .8em; }
+  :host([theme="dark"]) { --bus-bg: #1e1e1e; --bus-fg: #eee; --bus-muted: #aaa; --bus-accent: #4fc3f7; --bus-late: #ff8a65; }
+  :host([theme="eink"]) { --bus-bg: #fff; --bus-fg: #000; --bus-muted: #000; --bus-accent: #000; --bus-late: #000; font-weight: bold; }
+  :host([hidden]) { display: none; }
+  .title { font-size: .85em; color: var(--bus-muted, #666); margin-bottom: .3em; }
+  ol { list-style: none; margin: 0; padding: 0; }
+  li { display: flex; align-items: baseline; gap: .5em; padding: .2em 0; border-top: 1px solid color-mix(in srgb, var(--bus-muted, #666) 30%, transparent); }
+  li:first-child { border-top: none; }
+  .time { font-size: 1.3em; font-weight: bold; font-variant-numeric: tabular-nums; }
+  .sched { font-size: .8em; color: var(--bus-muted, #666); text-decoration: line-through; }
+  .dest { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .left { color: var(--bus-accent, #1565c0); white-space: nowrap; }
+  .late { color: var(--bus-late, #c62828); white-space: nowrap; }
+  .unavailable .time, .unavailable .dest { text-decoration: line-through; color: var(--bus-muted, #666); }
+  .message { color: var(--bus-muted, #666); }
+`;
+
+/** @type {Map<string, ReturnType<typeof loadFeed>>} */
+const feeds = new Map();
+/** @type {Map<string, { at:number, rt:Promise<import("./engine.mjs").RtFeed|undefined> }>} */
+const realtime = new Map();
+
+function sharedFeed(base) {
+  if (!feeds.has(base)) {
+    const p = loadFeed(fetch, { baseUrl: base });
+    p.catch(() => feeds.delete(base));   // 失敗したら次の更新で取り直す
+    feeds.set(base, p);
+  }
+  return /** @type {ReturnType<typeof loadFeed>} */ (feeds.get(base));
+}
+function sharedRealtime(base, now) {
+  const hit = realtime.get(base);
+  if (hit && now - hit.at < RT_SHARE_MS) return hit.rt;
+  const rt = fetch(base + REALTIME_FEED_URL, { cache: "no-store" })
+    .then(res => res.ok ? res.json() : undefined)
+    .then(raw => adaptRtSnakeToCamel(raw))
+    .catch(() => undefined);
+  realtime.set(base, { at: now, rt });
+  return rt;
+}
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+export class BusDeparturesElement extends HTMLElement {
+  static observedAttributes = ["from", "to", "rows", "theme", "lang", "refresh", "base"];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" }).innerHTML = `<style>${STYLE}</style><div class="title" part="title"></div><ol part="list"></ol>`;
+    /** @type {ReturnType<typeof setInterval>|undefined} */
+    this.timer = undefined;
+    this.generation = 0;   // 属性が変わったら古い取得結果は捨てる
+  }
+
+  connectedCallback() {
+    this.update();
+    this.restartTimer();
+  }
+  disconnectedCallback() {
+    clearInterval(this.timer);
+    this.timer = undefined;
+  }
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.isConnected) return;
+    if (name === "theme") return;   // スタイルだけで切り替わる
+    if (name === "refresh") this.restartTimer();
+    this.update();
+  }
+
+  get base() {
+    const base = this.getAttribute("base") || DEFAULT_BASE;
+    return base.endsWith("/") ? base : `${base}/`;
+  }
+  get rows() {
+    const n = Number(this.getAttribute("rows") ?? DEFAULT_ROWS);
+    return Number.isInteger(n) && n > 0 ? n : DEFAULT_ROWS;
+  }
+  restartTimer() {
+    clearInterval(this.timer);
+    const sec = Number(this.getAttribute("refresh") ?? DEFAULT_REFRESH_SEC);
+    this.timer = Number.isFinite(sec) && sec > 0 ? setInterval(() => this.update(), sec * 1000) : undefined;
+  }
+
+  async update() {
+    const generation = ++this.generation;
+    const from = this.getAttribute("from"), to = this.getAttribute("to");
+    const t = createTranslator(this.getAttribute("lang") || pickLang(navigator.languages ?? []));
+    const list = /** @type {ShadowRoot} */ (this.shadowRoot).querySelector("ol");
+    const title = /** @type {ShadowRoot} */ (this.shadowRoot).querySelector(".title");
+    if (!list || !title) return;
+    if (!from || !to) {
+      list.innerHTML = `<li class="message">from / to を指定してください</li>`;
+      return;
+    }
+    try {
+      const now = Date.now();
+      const base = this.base;
+      const [feed, rt, names] = await Promise.all([
+        sharedFeed(base), sharedRealtime(base, now), fetchNames(fetch, t.lang, base).then(createNameTranslator),
+      ]);
+      const legs = (await feed.departures({ from, to, now, rt })).map(names.leg);
+      if (generation !== this.generation) return;
+      const stopName = (id) => names.of(feed.stops.find(s => s.stop_id === id)?.stop_name) || id;
+      title.textContent = t("title", { from: stopName(from), to: stopName(to) });
+      list.innerHTML = renderRows(legs, t, todayYmdJst(now), now, this.rows) || `<li class="message">${escapeHtml(t("noDepartures"))}</li>`;
+    } catch (err) {
+      if (generation !== this.generation) return;
+      list.innerHTML = `<li class="message">${escapeHtml(err instanceof Error ? err.message : String(err))}</li>`;
+    }
+  }
+}
+
+/**
+ * @param {import("./engine.mjs").MergedLeg[]} legs
+ * @param {import("./i18n.mjs").Translator} t
+ */
+function renderRows(legs, t, ymd, now, rows) {
+  return legs
+    .map(l => ({ l, at: serviceSecsToDate(l.live_departure ?? l.predicted_departure ?? l.sched_departure, ymd).getTime() }))
+    .filter(r => r.at >= now - SHOW_PAST_MIN * 60_000)
+    .sort((a, b) => a.at - b.at)
+    .slice(0, rows)
+    .map(({ l, at }) => {
+      const live = l.live_departure != null && !l.status;
+      const delayMin = live ? Math.round((/** @type {number} */ (l.live_departure) - l.sched_departure) / 60) : 0;
+      const right = l.status
+        ? `<span class="late">${escapeHtml(t(`status_${l.status}`))}</span>`
+        : `<span class="left">${escapeHtml(t("minutesLeft", { n: Math.max(0, Math.floor((at - now) / 60000)) }))}</span>`;
+      return `<li class="${l.status ? "unavailable" : ""}" part="row">
+        <span class="time">${toHHMM(live ? /** @type {number} */ (l.live_departure) : l.sched_departure)}</span>
+        ${delayMin > 0 ? `<span class="sched">${toHHMM(l.sched_departure)}</span><span class="late">${escapeHtml(t("delay", { n: delayMin }))}</span>` : ""}
+        <span class="dest">${escapeHtml(l.route_label || t("bus"))} ${escapeHtml(l.headsign)}${l.added ? ` (${escapeHtml(t("added"))})` : ""}</span>
+        ${right}
+      </li>`;
+    })
+    .join("");
+}
+
+if (!customElements.get("bus-departures")) customElements.define("bus-departures", BusDeparturesElement);
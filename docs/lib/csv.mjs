@@ -0,0 +1,146 @@
+// @ts-check
+// docs/lib/csv.mjs
+// GTFS の CSV パース（引用符内の改行・"" エスケープ対応）。index.html の CSV fallback と scripts/ で共用する。
+// 文字列を小分けに push できるので、ZIP から伸長しながら 1 行ずつ処理できる（scripts/lib/gtfs-zip.mjs）。
+
+/**
+ * 1 行目をヘッダとして行オブジェクトの配列にする。値は文字列のまま（BOM・空行は読み飛ばす）。
+ * @param {string} text
+ * @returns {Record<string,string>[]}
+ */
+export function parseCsv(text) {
+  const parser = createCsvRowParser();
+  const rows = parser.push(text);
+  for (const r of parser.end()) rows.push(r);
+  return rows;
+}
+
+/**
+ * 逐次版の parseCsv。push した断片から確定した行だけを返し、残りは次の push / end に持ち越す。
+ * @returns {{ push: (chunk: string) => Record<string,string>[], end: () => Record<string,string>[], header: () => string[] | null }}
+ */
+export function createCsvRowParser() {
+  const reader = new CsvRecordReader();
+  /** @type {string[] | null} */
+  let header = null;
+  /** @param {string[][]} records */
+  const toRows = records => {
+    /** @type {Record<string,string>[]} */
+    const out = [];
+    for (const cols of records) {
+      if (!header) { header = cols; continue; }
+      /** @type {Record<string,string>} */
+      const row = {};
+      header.forEach((h, j) => { row[h] = cols[j] ?? ""; });
+      out.push(row);
+    }
+    return out;
+  };
+  return {
+    push: chunk => toRows(reader.push(chunk)),
+    end: () => toRows(reader.end()),
+    header: () => header,
+  };
+}
+
+const QUOTE = 34, COMMA = 44, LF = 10;
+
+/**
+ * RFC 4180 寄りのレコード分割器。引用符の途中や CRLF の間で断片が切れても正しく繋ぐ。
+ * 引用符はフィールド先頭にあるときだけ特別扱いし、途中の " は文字として残す（既存フィードの緩い書式向け）。
+ */
+export class CsvRecordReader {
+  constructor() {
+    this.field = "";
+    /** @type {string[]} */
+    this.record = [];
+    this.inQuotes = false;
+    // 引用符内で断片末尾が " だった（次の文字で "" か閉じ引用符かを判断する）
+    this.quotePending = false;
+    this.atStart = true;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string[][]} 確定したレコード
+   */
+  push(text) {
+    /** @type {string[][]} */
+    const out = [];
+    let i = 0;
+    if (this.atStart && text.length) {
+      if (text.charCodeAt(0) === 0xfeff) i = 1;
+      this.atStart = false;
+    }
+    const n = text.length;
+    while (i < n) {
+      if (this.inQuotes) {
+        if (this.quotePending) {
+          this.quotePending = false;
+          if (text.charCodeAt(i) === QUOTE) { this.field += '"'; i++; continue; }
+          this.inQuotes = false;
+          continue;
+        }
+        const j = text.indexOf('"', i);
+        if (j < 0) { this.field += text.slice(i); break; }
+        this.field += text.slice(i, j);
+        if (j + 1 >= n) { this.quotePending = true; i = n; break; }
+        if (text.charCodeAt(j + 1) === QUOTE) { this.field += '"'; i = j + 2; }
+        else { this.inQuotes = false; i = j + 1; }
+        continue;
+      }
+      let s = i;
+      for (; i < n; i++) {
+        const c = text.charCodeAt(i);
+        if (c === COMMA) {
+          this.record.push(this.field + text.slice(s, i));
+          this.field = "";
+          s = i + 1;
+        } else if (c === LF) {
+          this.field += text.slice(s, i);
+          this.finishRecord(out);
+          s = i + 1;
+        } else if (c === QUOTE && i === s && this.field === "") {
+          this.inQuotes = true;
+          i++;
+          break;
+        }
+      }
+      if (!this.inQuotes) this.field += text.slice(s, i);
+    }
+    return out;
+  }
+
+  /** @returns {string[][]} 末尾に改行が無い最終行 */
+  end() {
+    /** @type {string[][]} */
+    const out = [];
+    this.inQuotes = false;
+    this.quotePending = false;
+    if (this.field !== "" || this.record.length) this.finishRecord(out);
+    return out;
+  }
+
+  /** @param {string[][]} out */
+  finishRecord(out) {
+    let f = this.field;
+    if (f.endsWith("\r")) f = f.slice(0, -1);
+    this.record.push(f);
+    const rec = this.record;
+    this.record = [];
+    this.field = "";
+    if (rec.length === 1 && rec[0] === "") return; // 空行
+    out.push(rec);
+  }
+}
+
+/**
+ * 1 行分（改行を含まない）をフィールドに分ける。
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function splitCsvLine(line) {
+  const reader = new CsvRecordReader();
+  reader.atStart = false;
+  return [...reader.push(line), ...reader.end()][0] ?? [""];
+}
@@ -0,0 +1,1238 @@
+// @ts-check
+// docs/lib/engine.mjs
+// 時刻表エンジン：静的 GTFS（make-static-json の出力）と GTFS-RT JSON から、
+// 乗降区間の発車一覧と乗換案内を作る。index.html と scripts/ の両方から import する。
+//   const feed = await loadFeed(fetch);                 // Node では loadFeed(fileFetcher("docs"))
+//   feed.activeServices("20250812");                    // その運行日の service_id（calendar が無ければ null）
+//   await feed.departures({ from: "260_1", to: "434_5", now: Date.now(), rt });
+// 時刻はすべて JST の運行日起点の秒（GTFS の "25:10:00" は 90600）。端末のタイムゾーンには依存しない。
+import { parseCsv } from "./csv.mjs";
+
+/** **************************************
+ * 0) 設定
+ *****************************************/
+const STATIC_JSON = {
+  stops: "stops.json",
+  trips: "trips.json",
+  routes: "routes.json"
+};
+const STATIC_CSV = { stops: "stops.txt", trips: "trips.txt", routes: "routes.txt" };
+const CALENDAR_JSON = { calendar: "calendar.json", calendar_dates: "calendar_dates.json" };
+const STOP_TIMES_BY_ROUTE_DIR = "stop_times/by_route/";
+const STOP_TIMES_INDEX_URL = "stop_times/index.json";
+const STOP_ROUTES_URL = "stop_times/stop_routes.json";
+const FEED_META_URL = "feed_meta.json";   // scripts/validate-static.mjs が生成
+const FEED_EXPIRY_WARN_DAYS = 14;         // 有効期限がこの日数以内なら予告する
+const DELAY_STATS_URL = "delay_stats.json";   // scripts/aggregate-delays.mjs が生成
+const DELAY_HISTORY_MIN_SAMPLES = 5;      // 便ごとの実績がこれより少なければ時間帯の実績を使う
+const AGENCIES_URL = "agencies.json";     // scripts/make-static-json.mjs が生成
+const STOP_LINKS_URL = "stop_links.json"; // 同上（複数事業者をまとめたときだけ）
+const SHAPES_DIR = "shapes/";             // 同上（shapes.txt がある場合。shapeFileOf で引く）
+const FARES_URL = "fares.json";           // 同上（運賃の表がある場合。scripts/lib/gtfs-fares.mjs）
+// リアルタイム情報の鮮度：フィード時刻がこれより古ければ「古い」（ポーリング 5 分 + 余裕）、
+// RT_MAX_AGE_SEC より離れていれば「無し」として使わない
+export const RT_STALE_SEC = 600;
+export const RT_MAX_AGE_SEC = 1800;
+// 乗換案内：徒歩乗換は直線距離 TRANSFER_WALK_MAX_M 以内、分速 WALK_M_PER_MIN で歩く想定
+const MAX_JOURNEYS = 3;
+const TRANSFER_WALK_MAX_M = 300;
+const WALK_M_PER_MIN = 80;
+const TRANSFER_BUFFER_SEC = 60;   // 同じ停留所での乗換・徒歩乗換の最低余裕
+
+/** **************************************
+ * 1) 型定義（JSDoc）
+ *****************************************/
+/**
+ * @typedef {{stop_id:string, stop_name:string, stop_lat?:string, stop_lon?:string}} GtfsStop
+ * @typedef {{trip_id:string, route_id:string, service_id?:string, trip_headsign?:string, direction_id?:0|1, shape_id?:string}} GtfsTrip
+ * @typedef {{trip_id:string, arrival_time:string, departure_time:string, stop_id:string, stop_sequence:number, day_offset?:number, gtfs_trip_id?:string}} GtfsStopTime
+ *   day_offset: -1 なら前日の運行日の便（trip_id は serviceTripKey で付け替え、元の ID は gtfs_trip_id）
+ * @typedef {{route_id:string, agency_id?:string, route_short_name?:string, route_long_name?:string, route_color?:string, route_text_color?:string}} GtfsRoute
+ * @typedef {{agency_id:string, agency_name:string, agency_color?:string}} GtfsAgency  agency_color: 16 進 6 桁（無ければ空）
+ *
+ * @typedef {{ time?:number, delay?:number }} RtTime
+ * @typedef {{ stopId?:string, stopSequence?:number, arrival?:RtTime, departure?:RtTime, scheduleRelationship?:"SCHEDULED"|"SKIPPED"|"NO_DATA"|"UNSCHEDULED"|"CANCELED"|"ADDED" }} RtStopTimeUpdate
+ * @typedef {{ trip:{tripId?:string, routeId?:string, directionId?:number, startDate?:string}, stopTimeUpdate?:RtStopTimeUpdate[], scheduleRelationship?:RtStopTimeUpdate["scheduleRelationship"], timestamp?:number }} RtTripUpdate
+ * @typedef {{ tripId?:string, routeId?:string, vehicleId?:string, lat?:number, lon?:number, currentStopSequence?:number, stopId?:string, currentStatus?:"INCOMING_AT"|"STOPPED_AT"|"IN_TRANSIT_TO", timestamp?:number, feedTimestamp?:number }} RtVehicle
+ * @typedef {{ agencyId?:string, routeId?:string, stopId?:string, tripId?:string }} RtInformedEntity
+ * @typedef {{ id:string, header:string, description:string, url?:string, effect?:string, activePeriods:{start?:number, end?:number}[], informed:RtInformedEntity[] }} RtAlert
+ * @typedef {{ entity: { id:string, tripUpdate?:RtTripUpdate, feedTimestamp?:number }[], vehicles?:RtVehicle[], alerts?:RtAlert[], updatedAt?:number }} RtFeed
+ *   updatedAt: フィード時刻（epoch 秒）。feedTimestamp: 複数事業者をまとめたフィードでの、その事業者のフィード時刻
+ * @typedef {"fresh"|"stale"|"missing"} RtFreshness
+ * @typedef {{ staleSec?:number, maxAgeSec?:number }} RtFreshnessOptions
+ *
+ * @typedef {{ serviceDate:string, tripsById:Map<string,GtfsTrip>, routesById:Map<string,GtfsRoute>, stopsById:Map<string,GtfsStop>, stopTimesByTrip:Map<string,GtfsStopTime[]>, stopTimesByStop:Map<string,GtfsStopTime[]> }} StaticIndex
+ *   serviceDate: 当日の運行日（YYYYMMDD, JST）。時刻の秒はすべてこの日の「正午 − 12 時間」起点
+ * @typedef {{ trip_id:string, route_id:string, route_label:string, headsign:string, origin_stop_id:string, dest_stop_id:string, service_day_offset?:number, sched_departure:number, live_departure?:number, delay_departure_sec?:number, sched_arrival?:number, live_arrival?:number, delay_arrival_sec?:number, schedule_relationship?:RtStopTimeUpdate["scheduleRelationship"], vehicle?:LegVehicle, alert_ids?:string[], status?:"CANCELED"|"SKIPPED_ORIGIN"|"SKIPPED_DEST", added?:boolean, usual_delay?:DelayStats, predicted_departure?:number, agency_name?:string, agency_color?:string, fare?:FareQuote, fare_differs?:boolean }} MergedLeg
+ *   status: 乗れない便（運休／乗車停留所通過／降車停留所通過）。added: 時刻表に無い臨時便
+ *   trip_id は GTFS の trip_id。前日の運行日の便は service_day_offset = -1（索引は serviceTripKey で引く）
+ *   sched_arrival / live_arrival: 降車停留所への到着（日内秒）。臨時便で到着時刻が来ていなければ無し
+ *   usual_delay: 過去の遅れの実績（delay_stats.json）。predicted_departure: リアルタイム情報が無い便の、実績の中央値による発車予測
+ *   agency_name / agency_color: 複数事業者のフィードでの事業者名と色（16 進 6 桁）
+ * @typedef {{ n:number, median:number, p90:number, on_time:number }} DelayStats  遅れ（秒）の中央値・90 パーセンタイルと定刻率
+ * @typedef {{ stop_id:string, stops_away:number, status?:RtVehicle["currentStatus"] }} LegVehicle  stops_away: 乗車停留所までの停留所数（0 = 到着間近/停車中、負 = 通過済み）
+ * @typedef {{ stop_id:string, stop_name:string, stop_sequence:number, lat?:number, lon?:number, sched_arrival?:number, sched_departure?:number, live_arrival?:number, live_departure?:number, skipped?:boolean, role?:"origin"|"dest" }} TripStop
+ *   便の停車順の 1 停留所（日内秒）。role: 乗車・降車の停留所。skipped: 通過（運休便は全停留所）
+ * @typedef {{ stops:TripStop[], shape:[number,number][]|null }} TripDetail
+ * @typedef {{ rider:string, media:string, currency:string }} FareVariant  rider: "adult" / "child" / 事業者の区分名（不明なら空）。media: "cash" / "ic" / "ticket" など（不明なら空）
+ * @typedef {{ format_version:number, variants:FareVariant[], prices:[number,number][][], tables:Record<string,number>[], routes:Record<string,number>, zones:Record<string,string[]> }} FaresJson
+ * @typedef {FareVariant & { amount:number }} FarePrice
+ * @typedef {{ id:number, prices:FarePrice[] }} FareQuote  id: fares.json の運賃の組の番号（同じなら同じ運賃）  shape: 経路の [緯度, 経度]（shapes.txt が無ければ null）
+ *
+ * @typedef {{ trip_id:string, from:string, to:string, dep:number, arr:number, noBoard?:boolean, noAlight?:boolean, realtime?:boolean }} Connection  隣り合う停留所間の 1 区間（日内秒）
+ * @typedef {{ to:string, sec:number }} Footpath
+ * @typedef {{ kind:"ride"|"walk", from_stop_id:string, to_stop_id:string, departure:number, arrival:number, trip_id?:string, route_label?:string, headsign?:string, realtime?:boolean }} JourneyLeg
+ * @typedef {{ departure:number, arrival:number, transfers:number, legs:JourneyLeg[] }} Journey
+ *
+ * @typedef {{ key:string, label:string, service_ids:Set<string> }} ServicePattern  key: 月〜日の運行有無（"1111100" = 平日）
+ * @typedef {{ start_date:string, end_date:string }} FeedRange  時刻表の有効期間（YYYYMMDD、両端を含む）
+ * @typedef {{ state:"ok"|"expiring"|"expired"|"not_started", start_date:string, end_date:string, days_left:number }} FeedValidity
+ *   days_left: 有効期限の日まで残り何日か（当日が最終日なら 0、期限切れなら負）
+ *
+ * @typedef {(url:string, init?:object)=>Promise<{ok:boolean, status:number, statusText:string, json():Promise<any>, text():Promise<string>}>} Fetcher
+ */
+
+
+/** **************************************
+ * 2) ヘルパー
+ *****************************************/
+export const toSecs = (t) => { const [h,m,s] = t.split(":").map(Number); return h*3600 + m*60 + (s||0); };
+export const toHHMMSS = (secs) => [Math.floor(secs/3600), Math.floor((secs%3600)/60), secs%60].map(n => String(n).padStart(2,"0")).join(":");
+// 24:00 以降（前日の運行日の便）や負の秒も時計の時刻で表示する
+export const toHHMM = (secs) => { const d = ((Math.floor(secs) % 86400) + 86400) % 86400; const h = Math.floor(d/3600); const m = Math.floor((d%3600)/60); return `${String(h).padStart(2,"0")}:${String(m).padStart(2,"0")}`; };
+export const serviceTripKey = (tripId, dayOffset) => dayOffset ? `${tripId}@${dayOffset}` : tripId;
+// 停留所の時刻（当日の運行日起点の秒）。前日の運行日の便は 1 日分引く
+export const rowSecs = (row, which) => toSecs(which === "arrival" ? (row.arrival_time || row.departure_time) : (row.departure_time || row.arrival_time)) + (row.day_offset ?? 0) * 86400;
+// epoch 秒 → nowEpochSec と同じ JST 日付の 0 時起点の秒（GTFS の時刻と同じ物差し）
+export const JST_OFFSET_SEC = 9 * 3600;
+export const epochToJstDaySecs = (epoch, nowEpochSec) => (epoch + JST_OFFSET_SEC) - Math.floor((nowEpochSec + JST_OFFSET_SEC) / 86400) * 86400;
+export const buildAliasLookup = (alias) => { const m = new Map(); Object.entries(alias||{}).forEach(([canonical,arr])=>{ m.set(canonical,canonical); arr.forEach(a=>m.set(a,canonical));}); return m; };
+export const normalizeStopId = (id, aliasLut) => aliasLut.get(id) ?? id;
+// 近距離用の直線距離（m）。停留所間の徒歩乗換の判定にだけ使う
+export const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const kx = Math.cos((lat1 + lat2) / 2 * Math.PI / 180);
+  return Math.hypot((lon2 - lon1) * kx, lat2 - lat1) * 111_320;
+};
+// shapes/ 配下のファイル名。prefix 付きの ID（複数事業者）は事業者ごとのサブディレクトリ
+export const shapeFileOf = (shapeId) => `${String(shapeId).replace(":", "/")}.json`;
+// "260_1" → "260"（のりばの親停留所）
+export const platformGroupId = (stopId) => String(stopId).split("_")[0];
+// 親停留所 ID が指定されたら、その配下ののりばを別名としてまとめる
+export function buildPlatformAlias(stops, ids) {
+  /** @type {Record<string,string[]>} */
+  const alias = {};
+  for (const id of ids) {
+    const platforms = stops.filter(s => s.stop_id !== id && platformGroupId(s.stop_id) === id).map(s => s.stop_id);
+    if (platforms.length) alias[id] = platforms;
+  }
+  return alias;
+}
+// 事業者をまたいで同じ場所にある停留所（stop_links.json）も別名に加える。配下ののりばの対応もまとめて引く
+export function addStopLinks(alias, links, ids) {
+  if (!links) return alias;
+  const out = { ...alias };
+  for (const id of ids) {
+    const own = [id, ...(alias[id] ?? [])];
+    const linked = own.flatMap(s => links[s] ?? []).filter(s => !own.includes(s));
+    if (linked.length) out[id] = [...new Set([...(alias[id] ?? []), ...linked])];
+  }
+  return out;
+}
+
+/** **************************************
+ * 3) 運行日（JST）とカレンダー
+ *****************************************/
+// 運行日（JST）の計算。端末のタイムゾーンには依存しない
+export function todayYmdJst(nowMs = Date.now()){
+  const d = new Date(nowMs + JST_OFFSET_SEC * 1000);
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth()+1).padStart(2,'0')}${String(d.getUTCDate()).padStart(2,'0')}`;
+}
+export function ymdAddDays(ymd, days){
+  const d = new Date(Date.UTC(Number(ymd.slice(0,4)), Number(ymd.slice(4,6)) - 1, Number(ymd.slice(6,8)) + days));
+  return `${d.getUTCFullYear()}${String(d.getUTCMonth()+1).padStart(2,'0')}${String(d.getUTCDate()).padStart(2,'0')}`;
+}
+export function weekdayKeyOf(ymd){
+  const w = new Date(Date.UTC(Number(ymd.slice(0,4)), Number(ymd.slice(4,6)) - 1, Number(ymd.slice(6,8)))).getUTCDay();
+  return ['sunday','monday','tuesday','wednesday','thursday','friday','saturday'][w];
+}
+// GTFS の時刻の起点：運行日の正午（JST）の 12 時間前
+export function serviceDayStartMs(ymd){
+  return Date.UTC(Number(ymd.slice(0,4)), Number(ymd.slice(4,6)) - 1, Number(ymd.slice(6,8)), 12) - JST_OFFSET_SEC * 1000 - 12 * 3600_000;
+}
+export const serviceSecsToDate = (secs, ymd) => new Date(serviceDayStartMs(ymd) + secs * 1000);
+export const serviceSecsNow = (ymd, nowMs = Date.now()) => Math.floor((nowMs - serviceDayStartMs(ymd)) / 1000);
+
+export function activeServiceIds(calendar, calendar_dates, ymd){
+  const wk = weekdayKeyOf(ymd);
+  const activeSvc = new Set(
+    calendar.filter(c => Number(c[wk])===1 && String(c.start_date)<=ymd && ymd<=String(c.end_date))
+            .map(c => c.service_id)
+  );
+  for (const d of calendar_dates) {
+    if (String(d.date)!==ymd) continue;
+    if (Number(d.exception_type)===1) activeSvc.add(d.service_id);
+    if (Number(d.exception_type)===2) activeSvc.delete(d.service_id);
+  }
+  return activeSvc;
+}
+
+// 曜日の運行パターン（時刻表のタブ）。ymd に有効な calendar の行だけを見る（無ければ全行）。
+// calendar_dates の例外は含めない（日付を指定するときは activeServiceIds を使う）
+const PATTERN_DAYS = ['monday','tuesday','wednesday','thursday','friday','saturday','sunday'];
+const PATTERN_DAY_LABELS = ['月','火','水','木','金','土','日'];
+const PATTERN_LABELS = { "1111100": "平日", "0000010": "土曜", "0000001": "休日", "0000011": "土休日", "1111110": "月〜土", "1111111": "毎日" };
+/** @returns {ServicePattern[]} */
+export function servicePatterns(calendar, ymd){
+  const inEffect = calendar.filter(c => String(c.start_date)<=ymd && ymd<=String(c.end_date));
+  /** @type {Map<string, ServicePattern>} */
+  const byKey = new Map();
+  for (const c of inEffect.length ? inEffect : calendar) {
+    const key = PATTERN_DAYS.map(k => Number(c[k])===1 ? "1" : "0").join("");
+    if (!key.includes("1")) continue;   // calendar_dates だけで走る service_id
+    const label = PATTERN_LABELS[key] ?? PATTERN_DAY_LABELS.filter((_, i) => key[i]==="1").join("・");
+    const p = byKey.get(key) ?? { key, label, service_ids: new Set() };
+    p.service_ids.add(c.service_id);
+    byKey.set(key, p);
+  }
+  return [...byKey.values()].sort((a,b)=>b.key.localeCompare(a.key));   // 平日 → 土曜 → 休日
+}
+
+// calendar / calendar_dates から時刻表の有効期間を求める（運行日が 1 日も無ければ null）
+/** @returns {FeedRange|null} */
+export function feedDateRange(calendar, calendar_dates){
+  const dates = [
+    ...calendar.flatMap(c => [String(c.start_date), String(c.end_date)]),
+    ...calendar_dates.filter(d => Number(d.exception_type)===1).map(d => String(d.date))
+  ].filter(Boolean).sort();
+  return dates.length ? { start_date: dates[0], end_date: dates[dates.length - 1] } : null;
+}
+export const ymdDiffDays = (from, to) => Math.round((serviceDayStartMs(to) - serviceDayStartMs(from)) / 86400_000);
+/**
+ * @param {FeedRange|null|undefined} range
+ * @param {string} ymd
+ * @returns {FeedValidity|null}
+ */
+export function feedValidity(range, ymd, warnDays = FEED_EXPIRY_WARN_DAYS){
+  if (!range?.end_date) return null;
+  const days_left = ymdDiffDays(ymd, range.end_date);
+  const state = days_left < 0 ? "expired"
+    : range.start_date && ymd < range.start_date ? "not_started"
+    : days_left < warnDays ? "expiring" : "ok";
+  return { state, start_date: range.start_date, end_date: range.end_date, days_left };
+}
+
+/** **************************************
+ * 4) 静的インデックス
+ *****************************************/
+export function buildStaticIndex(stops, trips, stopTimes, routes, alias, serviceDate = todayYmdJst()) {
+  const aliasLut = buildAliasLookup(alias ?? {});
+  const tripsById = new Map(trips.map(t => [t.trip_id, t]));
+  for (const st of stopTimes) {
+    const trip = st.gtfs_trip_id && tripsById.get(st.gtfs_trip_id);
+    if (trip && !tripsById.has(st.trip_id)) tripsById.set(st.trip_id, trip);
+  }
+  const routesById = new Map(routes.map(r => [r.route_id, r]));
+  const stopsById = new Map();
+  for (const s of stops) {
+    const sid = normalizeStopId(s.stop_id, aliasLut);
+    // 別名（のりば・他事業者の同じ停留所）より、正規 ID の停留所そのものを優先
+    if (!stopsById.has(sid) || s.stop_id === sid) stopsById.set(sid, s);
+  }
+  const stopTimesByTrip = new Map();
+  for (const st of stopTimes) {
+    const arr = stopTimesByTrip.get(st.trip_id) ?? [];
+    arr.push({ ...st, stop_id: normalizeStopId(st.stop_id, aliasLut) });
+    stopTimesByTrip.set(st.trip_id, arr);
+  }
+  for (const arr of stopTimesByTrip.values()) arr.sort((a,b)=>a.stop_sequence-b.stop_sequence);
+  const stopTimesByStop = new Map();
+  for (const st of stopTimes) {
+    const sid = normalizeStopId(st.stop_id, aliasLut);
+    const arr = stopTimesByStop.get(sid) ?? [];
+    arr.push({ ...st, stop_id: sid });
+    stopTimesByStop.set(sid, arr);
+  }
+  for (const arr of stopTimesByStop.values()) {
+    arr.sort((a,b)=>{
+      const ta = rowSecs(a, "departure"), tb = rowSecs(b, "departure");
+      if (ta!==tb) return ta-tb;
+      return a.trip_id.localeCompare(b.trip_id);
+    });
+  }
+  return { serviceDate, tripsById, routesById, stopsById, stopTimesByTrip, stopTimesByStop };
+}
+
+/** **************************************
+ * 5) 突合＆マージ
+ *****************************************/
+export function mergeTripUpdatesForOriginToDest(idx, rt, originStopId, destStopId, nowEpochSec = Math.floor(Date.now()/1000), alias) {
+  const aliasLut = buildAliasLookup(alias ?? {});
+  const origin = normalizeStopId(originStopId, aliasLut);
+  const dest = normalizeStopId(destStopId, aliasLut);
+  const out = [];
+  const departuresAtOrigin = idx.stopTimesByStop.get(origin) ?? [];
+  const rtByTrip = new Map();
+  /** @type {RtTripUpdate[]} */
+  const extraTrips = [];
+  if (rt) for (const e of rt.entity) {
+    const tu = e.tripUpdate;
+    if (!tu) continue;
+    const rel = tu.scheduleRelationship;
+    // 静的時刻表に無い便（ADDED / UNSCHEDULED / 未知の trip_id）は更新内容から組み立てる
+    if (rel === "ADDED" || rel === "UNSCHEDULED" || !tu.trip?.tripId || !idx.tripsById.has(tu.trip.tripId)) extraTrips.push(tu);
+    else rtByTrip.set(rtTripKey(idx, tu), tu);
+  }
+  for (const st of departuresAtOrigin) {
+    const trip = idx.tripsById.get(st.trip_id);
+    if (!trip) continue;
+    const seqList = idx.stopTimesByTrip.get(st.trip_id) ?? [];
+    const originRow = seqList.find(r => r.stop_id === origin && r.stop_sequence === st.stop_sequence) ?? seqList.find(r => r.stop_id === origin);
+    if (!originRow) continue;
+    const destRow = seqList.find(r => r.stop_id === dest && r.stop_sequence > originRow.stop_sequence);
+    if (!destRow) continue;
+    const schedDepartureSec = rowSecs(originRow, "departure");
+    const route = idx.routesById.get(trip.route_id);
+    /** @type {MergedLeg} */
+    const base = {
+      trip_id: trip.trip_id,
+      ...(st.day_offset ? { service_day_offset: st.day_offset } : {}),
+      route_id: trip.route_id,
+      route_label: route?.route_short_name || route?.route_long_name || trip.route_id,
+      headsign: trip.trip_headsign || "",
+      origin_stop_id: origin,
+      dest_stop_id: dest,
+      sched_departure: schedDepartureSec,
+      sched_arrival: rowSecs(destRow, "arrival")
+    };
+    const tu = rtByTrip.get(st.trip_id);
+    if (tu) {
+      if (tu.scheduleRelationship === "CANCELED") base.status = "CANCELED";
+      const atOrigin = predictAtStop(tu, seqList, originRow, "departure", aliasLut, nowEpochSec);
+      const atDest = predictAtStop(tu, seqList, destRow, "arrival", aliasLut, nowEpochSec);
+      if (atOrigin?.relationship === "SKIPPED") base.status ??= "SKIPPED_ORIGIN";
+      if (atDest?.relationship === "SKIPPED") base.status ??= "SKIPPED_DEST";
+      base.schedule_relationship = atOrigin?.relationship ?? tu.scheduleRelationship;
+      if (atOrigin?.live != null && !base.status) {
+        base.live_departure = atOrigin.live;
+        if (atOrigin.delay != null) base.delay_departure_sec = atOrigin.delay;
+      }
+      // 降車停留所に更新が無ければ乗車停留所の遅延をそのまま持ち越す
+      if (!base.status) {
+        const arrDelay = atDest?.live != null ? atDest.live - base.sched_arrival : base.delay_departure_sec;
+        if (arrDelay != null) {
+          base.live_arrival = base.sched_arrival + arrDelay;
+          base.delay_arrival_sec = arrDelay;
+        }
+      }
+    }
+    out.push(base);
+  }
+  for (const tu of extraTrips) {
+    const leg = legFromUnscheduledTrip(idx, tu, origin, dest, aliasLut, nowEpochSec);
+    if (leg) out.push(leg);
+  }
+  out.sort((a,b)=>(a.live_departure ?? a.sched_departure) - (b.live_departure ?? b.sched_departure));
+  return out;
+}
+
+// trip update が当たる索引上の便。前日の運行日にも走る便は start_date で振り分け、
+// start_date が無ければ当日分を優先する
+function rtTripKey(idx, tu) {
+  const tripId = tu.trip?.tripId ?? "";
+  const prevKey = serviceTripKey(tripId, -1);
+  if (!idx.stopTimesByTrip.has(prevKey)) return tripId;
+  if (tu.trip.startDate) return tu.trip.startDate === ymdAddDays(idx.serviceDate, -1) ? prevKey : tripId;
+  return idx.stopTimesByTrip.has(tripId) ? tripId : prevKey;
+}
+
+/**
+ * 停留所 row の予測時刻。GTFS-RT の規則どおり、row 自身に更新が無ければ上流で最後に
+ * 更新された停留所の遅延を引き継ぐ（NO_DATA で伝播は途切れ、SKIPPED は素通りする）。
+ * @param {"departure"|"arrival"} which
+ * @returns {{ live?:number, delay?:number, relationship?:RtStopTimeUpdate["scheduleRelationship"] }|undefined}
+ */
+export function predictAtStop(tu, seqList, row, which, aliasLut, nowEpochSec) {
+  const seqOf = (u) => u.stopSequence ?? seqList.find(r => r.stop_id === normalizeStopId(u.stopId ?? "", aliasLut))?.stop_sequence;
+  const upstream = (tu.stopTimeUpdate ?? [])
+    .map(u => ({ u, seq: seqOf(u) }))
+    .filter(x => x.seq != null && x.seq <= row.stop_sequence)
+    .sort((a,b)=>a.seq-b.seq);
+  if (!upstream.length) return undefined;
+  const last = upstream[upstream.length - 1];
+  if (last.seq === row.stop_sequence) {
+    const rel = last.u.scheduleRelationship;
+    if (rel === "SKIPPED" || rel === "NO_DATA") return { relationship: rel };
+    const ev = which === "departure" ? (last.u.departure ?? last.u.arrival) : (last.u.arrival ?? last.u.departure);
+    const schedSec = rowSecs(row, which);
+    if (typeof ev?.time === "number") {
+      const live = epochToJstDaySecs(ev.time, nowEpochSec);
+      return { live, delay: typeof ev.delay === "number" ? ev.delay : live - schedSec, relationship: rel };
+    }
+    if (typeof ev?.delay === "number") return { live: schedSec + ev.delay, delay: ev.delay, relationship: rel };
+  }
+  // 上流からの伝播
+  let delay;
+  for (const { u, seq } of upstream) {
+    if (seq === row.stop_sequence) continue;
+    if (u.scheduleRelationship === "NO_DATA") { delay = undefined; continue; }
+    if (u.scheduleRelationship === "SKIPPED") continue;
+    const ev = u.departure ?? u.arrival;
+    if (typeof ev?.delay === "number") delay = ev.delay;
+    else if (typeof ev?.time === "number") {
+      const r = seqList.find(x => x.stop_sequence === seq);
+      if (r) delay = epochToJstDaySecs(ev.time, nowEpochSec) - rowSecs(r, u.departure ? "departure" : "arrival");
+    }
+  }
+  if (delay == null) return undefined;
+  const schedSec = rowSecs(row, which);
+  return { live: schedSec + delay, delay };
+}
+
+// 静的時刻表に無い便：乗車・降車の両停留所が stop_time_update に含まれていれば 1 便として扱う
+function legFromUnscheduledTrip(idx, tu, origin, dest, aliasLut, nowEpochSec) {
+  const stus = [...(tu.stopTimeUpdate ?? [])].sort((a,b)=>(a.stopSequence ?? 0) - (b.stopSequence ?? 0));
+  const isStop = (u, sid) => Boolean(u.stopId) && normalizeStopId(u.stopId, aliasLut) === sid;
+  const oi = stus.findIndex(u => isStop(u, origin));
+  const di = stus.findIndex((u, i) => i > oi && isStop(u, dest));
+  if (oi < 0 || di < 0) return undefined;
+  if (stus[oi].scheduleRelationship === "SKIPPED" || stus[di].scheduleRelationship === "SKIPPED") return undefined;
+  const ev = stus[oi].departure ?? stus[oi].arrival;
+  if (typeof ev?.time !== "number") return undefined;
+  const live = epochToJstDaySecs(ev.time, nowEpochSec);
+  const arrEv = stus[di].arrival ?? stus[di].departure;
+  const liveArrival = typeof arrEv?.time === "number" ? epochToJstDaySecs(arrEv.time, nowEpochSec) : undefined;
+  const routeId = tu.trip?.routeId ?? "";
+  const route = idx.routesById.get(routeId);
+  /** @type {MergedLeg} */
+  const leg = {
+    trip_id: tu.trip?.tripId ?? "",
+    route_id: routeId,
+    route_label: route?.route_short_name || route?.route_long_name || routeId || "臨時",
+    headsign: "",
+    origin_stop_id: origin,
+    dest_stop_id: dest,
+    sched_departure: live,
+    live_departure: live,
+    sched_arrival: liveArrival,
+    live_arrival: liveArrival,
+    schedule_relationship: tu.scheduleRelationship ?? "ADDED",
+    added: true
+  };
+  return leg;
+}
+
+/** **************************************
+ * 6) 乗換案内（Connection Scan Algorithm）
+ *****************************************/
+// 読み込み済みの stop_times を停留所間の区間に分解し、出発時刻順に並べる。
+// trip update があれば予測時刻で置き換え、運休便は除き、通過停留所では乗り降りさせない
+function buildConnections(idx, rt, aliasLut, nowEpochSec) {
+  const rtByTrip = new Map();
+  for (const e of rt?.entity ?? []) if (e.tripUpdate?.trip?.tripId) rtByTrip.set(rtTripKey(idx, e.tripUpdate), e.tripUpdate);
+  /** @type {Connection[]} */
+  const out = [];
+  for (const [tripId, rows] of idx.stopTimesByTrip) {
+    const tu = rtByTrip.get(tripId);
+    if (tu?.scheduleRelationship === "CANCELED") continue;
+    const times = rows.map(r => {
+      const dep = tu && predictAtStop(tu, rows, r, "departure", aliasLut, nowEpochSec);
+      const arr = tu && predictAtStop(tu, rows, r, "arrival", aliasLut, nowEpochSec);
+      return {
+        dep: dep?.live ?? rowSecs(r, "departure"),
+        arr: arr?.live ?? rowSecs(r, "arrival"),
+        skipped: dep?.relationship === "SKIPPED",
+        realtime: dep?.live != null
+      };
+    });
+    for (let i = 0; i + 1 < rows.length; i++) {
+      const a = times[i], b = times[i + 1];
+      if (!Number.isFinite(a.dep) || !Number.isFinite(b.arr) || b.arr < a.dep) continue;
+      out.push({ trip_id: tripId, from: rows[i].stop_id, to: rows[i + 1].stop_id, dep: a.dep, arr: b.arr, noBoard: a.skipped, noAlight: b.skipped, realtime: a.realtime });
+    }
+  }
+  out.sort((a,b)=>a.dep - b.dep || a.arr - b.arr);
+  return out;
+}
+
+// 徒歩乗換：同じ停留所の別のりば同士と、近くの停留所同士
+function buildFootpaths(idx) {
+  const ids = [...idx.stopTimesByStop.keys()];
+  const coords = ids.map(id => {
+    const s = idx.stopsById.get(id);
+    const lat = Number(s?.stop_lat), lon = Number(s?.stop_lon);
+    return Number.isFinite(lat) && Number.isFinite(lon) && (lat || lon) ? { lat, lon } : undefined;
+  });
+  /** @type {Map<string,Footpath[]>} */
+  const out = new Map();
+  for (let i = 0; i < ids.length; i++) {
+    for (let j = 0; j < ids.length; j++) {
+      if (i === j) continue;
+      const a = coords[i], b = coords[j];
+      const dist = a && b ? distanceMeters(a.lat, a.lon, b.lat, b.lon) : Infinity;
+      const samePole = platformGroupId(ids[i]) === platformGroupId(ids[j]);
+      if (!samePole && !(dist <= TRANSFER_WALK_MAX_M)) continue;
+      const walkSec = Number.isFinite(dist) ? Math.round(dist / WALK_M_PER_MIN * 60) : 0;
+      const list = out.get(ids[i]) ?? [];
+      list.push({ to: ids[j], sec: Math.max(TRANSFER_BUFFER_SEC, walkSec) });
+      out.set(ids[i], list);
+    }
+  }
+  return out;
+}
+
+// startSec 以降に origin を出て dest に最も早く着く経路。見つからなければ undefined。
+// 徒歩は乗換の間だけ（起点・終点の前後を歩く経路は直通便の表示と紛らわしいので作らない）
+function earliestArrival(connections, footpaths, origin, dest, startSec) {
+  const ready = new Map([[origin, startSec]]);   // その停留所で次の便に乗れる時刻
+  /** @type {Map<string, {enter:number, exit:number}|{walkFrom:string, dep:number, arr:number}>} */
+  const reachedBy = new Map();
+  const boardedAt = new Map();   // trip_id -> 乗車した区間の添字
+  let best = Infinity;
+  let lo = 0, hi = connections.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (connections[mid].dep < startSec) lo = mid + 1; else hi = mid; }
+  for (let i = lo; i < connections.length; i++) {
+    const c = connections[i];
+    if (c.dep >= best) break;
+    if (!boardedAt.has(c.trip_id)) {
+      if (c.noBoard || !((ready.get(c.from) ?? Infinity) <= c.dep)) continue;
+      boardedAt.set(c.trip_id, i);
+    }
+    if (c.noAlight) continue;
+    const enter = boardedAt.get(c.trip_id);
+    if (c.to === dest) {
+      if (c.arr < best) { best = c.arr; reachedBy.set(dest, { enter, exit: i }); }
+      continue;
+    }
+    if (c.arr + TRANSFER_BUFFER_SEC >= (ready.get(c.to) ?? Infinity)) continue;
+    ready.set(c.to, c.arr + TRANSFER_BUFFER_SEC);
+    reachedBy.set(c.to, { enter, exit: i });
+    for (const fp of footpaths.get(c.to) ?? []) {
+      const t = c.arr + fp.sec;
+      if (fp.to !== dest && fp.to !== origin && t < (ready.get(fp.to) ?? Infinity)) {
+        ready.set(fp.to, t);
+        reachedBy.set(fp.to, { walkFrom: c.to, dep: c.arr, arr: t });
+      }
+    }
+  }
+  if (!Number.isFinite(best)) return undefined;
+
+  /** @type {JourneyLeg[]} */
+  const legs = [];
+  let stop = dest;
+  for (let guard = 0; stop !== origin; guard++) {
+    const step = reachedBy.get(stop);
+    if (!step || guard > 32) return undefined;
+    if ("walkFrom" in step) {
+      legs.unshift({ kind: "walk", from_stop_id: step.walkFrom, to_stop_id: stop, departure: step.dep, arrival: step.arr });
+      stop = step.walkFrom;
+    } else {
+      const a = connections[step.enter], b = connections[step.exit];
+      legs.unshift({ kind: "ride", trip_id: a.trip_id, from_stop_id: a.from, to_stop_id: b.to, departure: a.dep, arrival: b.arr, realtime: a.realtime });
+      stop = a.from;
+    }
+  }
+  const rides = legs.filter(l => l.kind === "ride").length;
+  return { departure: legs[0].departure, arrival: best, transfers: Math.max(0, rides - 1), legs };
+}
+
+/**
+ * 現在時刻以降の経路を到着の早い順に最大 MAX_JOURNEYS 件。
+ * 見つかった経路の最初の便より後に出る便で探し直し、同じ時刻に着くならより遅く出る経路を残す。
+ * 探索対象は読み込み済みの stop_times（起点・終点に停車する路線）なので、乗換は実質 1 回まで。
+ * @returns {Journey[]}
+ */
+export function planJourneys(idx, rt, originStopId, destStopId, nowEpochSec = Math.floor(Date.now()/1000), alias) {
+  const aliasLut = buildAliasLookup(alias ?? {});
+  const origin = normalizeStopId(originStopId, aliasLut);
+  const dest = normalizeStopId(destStopId, aliasLut);
+  const connections = buildConnections(idx, rt, aliasLut, nowEpochSec);
+  const footpaths = buildFootpaths(idx);
+  /** @type {Journey[]} */
+  const out = [];
+  let start = serviceSecsNow(idx.serviceDate, nowEpochSec * 1000);
+  while (out.length <= MAX_JOURNEYS) {
+    const j = earliestArrival(connections, footpaths, origin, dest, start);
+    if (!j) break;
+    if (out.length && out[out.length - 1].arrival >= j.arrival) out.pop();
+    out.push(j);
+    start = j.departure + 1;
+  }
+  for (const j of out) {
+    for (const leg of j.legs) {
+      if (leg.kind !== "ride") continue;
+      const trip = idx.tripsById.get(leg.trip_id);
+      const route = trip && idx.routesById.get(trip.route_id);
+      leg.route_label = route?.route_short_name || route?.route_long_name || trip?.route_id || "バス";
+      leg.headsign = trip?.trip_headsign || "";
+    }
+  }
+  return out.slice(0, MAX_JOURNEYS);
+}
+
+/** **************************************
+ * 7) RTアダプタ：snake_case → camelCase
+ * 正式な形は scripts/lib/gtfsrt-json.mjs（schema_version 1）。
+ * 移行期間中は旧形式も受ける：camelCase＋generated_at（旧 fetch-gtfsrt.mjs）、
+ * タイムスタンプ無し（旧ワークフロー）、fetched_at＋departure が epoch 秒の文字列。
+ *****************************************/
+export function adaptRtSnakeToCamel(rtSnake) {
+  if (!rtSnake) return undefined;
+  const entities = Array.isArray(rtSnake) ? rtSnake : (Array.isArray(rtSnake.entity) ? rtSnake.entity : []);
+  /** @type {RtFeed} */
+  const out = { entity: [], updatedAt: feedUpdatedAt(rtSnake) };
+  for (const ent of entities) {
+    const vp = ent.vehicle;
+    const feedTimestamp = numOrUndefined(ent.feed_timestamp ?? ent.feedTimestamp);
+    if (vp) (out.vehicles ??= []).push({ ...adaptVehicle(vp), ...(feedTimestamp ? { feedTimestamp } : {}) });
+    if (ent.alert) (out.alerts ??= []).push(adaptAlert(String(ent.id || ""), ent.alert));
+    const tuSnake = ent.trip_update || ent.tripUpdate || ent.tripupdate;
+    if (!tuSnake) { out.entity.push({ id: String(ent.id || ""), ...(feedTimestamp ? { feedTimestamp } : {}) }); continue; }
+    const t = tuSnake.trip || {};
+    const trip = {
+      tripId: t.trip_id ?? t.tripId,
+      routeId: t.route_id ?? t.routeId,
+      directionId: t.direction_id ?? t.directionId,
+      startDate: t.start_date ?? t.startDate
+    };
+    const tripRelationship = t.schedule_relationship ?? t.scheduleRelationship;
+    const stus = Array.isArray(tuSnake.stop_time_update || tuSnake.stopTimeUpdate)
+      ? (tuSnake.stop_time_update || tuSnake.stopTimeUpdate) : [];
+    const stopTimeUpdate = stus.map(u => {
+      return {
+        stopId: u.stop_id ?? u.stopId,
+        stopSequence: numOrUndefined(u.stop_sequence ?? u.stopSequence),
+        arrival: rtTime(u.arrival),
+        departure: rtTime(u.departure),
+        scheduleRelationship: u.schedule_relationship ?? u.scheduleRelationship
+      };
+    });
+    /** @type {RtTripUpdate} */
+    const tu = {
+      trip,
+      stopTimeUpdate,
+      scheduleRelationship: tripRelationship ?? tuSnake.schedule_relationship ?? tuSnake.scheduleRelationship,
+      timestamp: numOrUndefined(tuSnake.timestamp)
+    };
+    out.entity.push({ id: String(ent.id || ""), tripUpdate: tu, ...(feedTimestamp ? { feedTimestamp } : {}) });
+  }
+  return out;
+  /** @returns {RtVehicle} */
+  function adaptVehicle(vp) {
+    const t = vp.trip || {};
+    const pos = vp.position || {};
+    return {
+      tripId: t.trip_id ?? t.tripId,
+      routeId: t.route_id ?? t.routeId,
+      vehicleId: vp.vehicle?.id,
+      lat: numOrUndefined(pos.latitude),
+      lon: numOrUndefined(pos.longitude),
+      currentStopSequence: numOrUndefined(vp.current_stop_sequence ?? vp.currentStopSequence),
+      stopId: vp.stop_id ?? vp.stopId,
+      currentStatus: vp.current_status ?? vp.currentStatus,
+      timestamp: numOrUndefined(vp.timestamp)
+    };
+  }
+  /** @returns {RtAlert} */
+  function adaptAlert(id, a) {
+    const periods = a.active_period ?? a.activePeriod ?? [];
+    const informed = a.informed_entity ?? a.informedEntity ?? [];
+    return {
+      id,
+      header: pickTranslation(a.header_text ?? a.headerText),
+      description: pickTranslation(a.description_text ?? a.descriptionText),
+      url: pickTranslation(a.url) || undefined,
+      effect: a.effect,
+      activePeriods: periods.map(p => ({ start: numOrUndefined(p.start), end: numOrUndefined(p.end) })),
+      informed: informed.map(ie => ({
+        agencyId: ie.agency_id ?? ie.agencyId,
+        routeId: ie.route_id ?? ie.routeId ?? ie.trip?.route_id ?? ie.trip?.routeId,
+        stopId: ie.stop_id ?? ie.stopId,
+        tripId: ie.trip?.trip_id ?? ie.trip?.tripId
+      }))
+    };
+  }
+  // 日本語を優先し、無ければ言語指定なし → 先頭の翻訳
+  function pickTranslation(ts) {
+    const list = Array.isArray(ts) ? ts : (ts?.translation ?? []);
+    const hit = list.find(t => t.language === "ja") ?? list.find(t => !t.language) ?? list[0];
+    return hit?.text ?? "";
+  }
+  // 旧形式では "1754956317" のように時刻だけが入っている
+  /** @returns {RtTime|undefined} */
+  function rtTime(v) {
+    if (v == null) return undefined;
+    if (typeof v !== "object") { const time = numOrUndefined(v); return time === undefined ? undefined : { time }; }
+    return { time: numOrUndefined(v.time), delay: numOrUndefined(v.delay) };
+  }
+  function feedUpdatedAt(doc) {
+    if (Array.isArray(doc)) return undefined;
+    const ts = numOrUndefined(doc.header?.timestamp);
+    if (ts) return ts;
+    const iso = doc.fetched_at ?? doc.generated_at;
+    const ms = iso ? Date.parse(iso) : NaN;
+    return Number.isFinite(ms) ? Math.floor(ms / 1000) : undefined;
+  }
+  function numOrUndefined(v) {
+    if (v == null) return undefined;
+    const n = typeof v === "string" ? Number(v) : (typeof v === "number" ? v : NaN);
+    return Number.isFinite(n) ? n : undefined;
+  }
+}
+
+/** **************************************
+ * 7-1) リアルタイム情報の鮮度
+ *****************************************/
+/**
+ * フィード時刻（header.timestamp、無ければ取得時刻）と now の差で鮮度を決める。
+ * 時刻の分からないフィードや、now から maxAgeSec 以上離れた（ポーリングが止まった・時計がずれた）フィードは "missing"。
+ * @param {RtFeed|undefined} rt
+ * @param {number} nowEpochSec
+ * @param {RtFreshnessOptions} [opts]
+ * @returns {RtFreshness}
+ */
+export function realtimeFreshness(rt, nowEpochSec, { staleSec = RT_STALE_SEC, maxAgeSec = RT_MAX_AGE_SEC } = {}) {
+  if (!rt?.updatedAt) return "missing";
+  const age = nowEpochSec - rt.updatedAt;
+  if (Math.abs(age) > maxAgeSec) return "missing";
+  return age > staleSec ? "stale" : "fresh";
+}
+
+/**
+ * 盤面に使えるリアルタイム情報だけを残す。鮮度が "missing" なら undefined（時刻表どおりに出す）。
+ * 複数事業者をまとめたフィードでは、事業者ごとのフィード時刻（feedTimestamp）が maxAgeSec より離れた分を捨てる。
+ * 便の更新は、timestamp が今日でないもの（日付をまたいだ直後の maxAgeSec 以内は残す）・
+ * start_date が今日（深夜便は前日）でないものを捨てる。
+ * 車両位置も timestamp が maxAgeSec より古いものは捨てる。運行情報は掲出期間で絞るのでそのまま。
+ * @param {RtFeed|undefined} rt
+ * @param {number} nowEpochSec
+ * @param {RtFreshnessOptions} [opts]
+ * @returns {RtFeed|undefined}
+ */
+export function usableRealtime(rt, nowEpochSec, opts = {}) {
+  if (!rt || realtimeFreshness(rt, nowEpochSec, opts) === "missing") return undefined;
+  const maxAgeSec = opts.maxAgeSec ?? RT_MAX_AGE_SEC;
+  const serviceDate = todayYmdJst(nowEpochSec * 1000);
+  const startDates = new Set([serviceDate, ymdAddDays(serviceDate, -1)]);
+  const sourceOk = (ts) => ts == null || Math.abs(nowEpochSec - ts) <= maxAgeSec;
+  const currentTrip = (tu) => (!tu.trip?.startDate || startDates.has(tu.trip.startDate))
+    && (tu.timestamp == null || todayYmdJst(tu.timestamp * 1000) === serviceDate || nowEpochSec - tu.timestamp <= maxAgeSec);
+  return {
+    ...rt,
+    entity: rt.entity.filter(e => sourceOk(e.feedTimestamp) && (!e.tripUpdate || currentTrip(e.tripUpdate))),
+    ...(rt.vehicles ? { vehicles: rt.vehicles.filter(v => sourceOk(v.feedTimestamp) && (v.timestamp == null || nowEpochSec - v.timestamp <= maxAgeSec)) } : {}),
+  };
+}
+
+/** **************************************
+ * 7-2) 車両位置・運行情報
+ *****************************************/
+// 車両が便の停車列のどこにいるか（stop_sequence → stop_id → 座標の最寄り停留所 の順で判定）
+export function locateVehicleOnTrip(seqList, v, stopsById, aliasLut) {
+  if (v.currentStopSequence != null) {
+    const i = seqList.findIndex(r => r.stop_sequence === v.currentStopSequence);
+    if (i >= 0) return i;
+  }
+  if (v.stopId) {
+    const sid = normalizeStopId(v.stopId, aliasLut);
+    const i = seqList.findIndex(r => r.stop_id === sid);
+    if (i >= 0) return i;
+  }
+  if (v.lat == null || v.lon == null) return -1;
+  const kx = Math.cos(v.lat * Math.PI / 180);
+  let best = -1, bestD = Infinity;
+  seqList.forEach((r, i) => {
+    const s = stopsById.get(r.stop_id);
+    if (!s) return;
+    const dx = (Number(s.stop_lon) - v.lon) * kx, dy = Number(s.stop_lat) - v.lat;
+    const d = dx*dx + dy*dy;
+    if (d < bestD) { bestD = d; best = i; }
+  });
+  return best;
+}
+export function attachVehiclePositions(idx, legs, vehicles, alias) {
+  if (!vehicles.length) return legs;
+  const aliasLut = buildAliasLookup(alias ?? {});
+  const byTrip = new Map(vehicles.filter(v => v.tripId).map(v => [v.tripId, v]));
+  return legs.map(leg => {
+    const v = byTrip.get(leg.trip_id);
+    const seqList = idx.stopTimesByTrip.get(serviceTripKey(leg.trip_id, leg.service_day_offset));
+    if (!v || !seqList) return leg;
+    const at = locateVehicleOnTrip(seqList, v, idx.stopsById, aliasLut);
+    const originIdx = seqList.findIndex(r => r.stop_id === leg.origin_stop_id);
+    if (at < 0 || originIdx < 0) return leg;
+    return { ...leg, vehicle: { stop_id: seqList[at].stop_id, stops_away: originIdx - at, status: v.currentStatus } };
+  });
+}
+export function activeAlerts(alerts, nowEpochSec) {
+  return alerts.filter(a => !a.activePeriods.length || a.activePeriods.some(p =>
+    (p.start == null || p.start <= nowEpochSec) && (p.end == null || nowEpochSec < p.end)));
+}
+
+/** **************************************
+ * 7-3) 遅れの実績（delay_stats.json）
+ *****************************************/
+/**
+ * 便ごと（少なければ発車時間帯）の実績を付け、リアルタイム情報の無い便は中央値だけずらした発車予測を付ける。
+ * @param {MergedLeg[]} legs
+ * @param {{ trips?:Record<string,DelayStats>, hours?:Record<string,DelayStats> }|undefined} pairStats  delay_stats.json の pairs["from|to"]
+ * @returns {MergedLeg[]}
+ */
+export function applyDelayHistory(legs, pairStats) {
+  if (!pairStats) return legs;
+  return legs.map(leg => {
+    const byTrip = pairStats.trips?.[leg.trip_id];
+    const hour = Math.floor((leg.sched_departure - (leg.service_day_offset ?? 0) * 86400) / 3600);
+    const stats = byTrip && byTrip.n >= DELAY_HISTORY_MIN_SAMPLES ? byTrip : (pairStats.hours?.[String(hour)] ?? byTrip);
+    if (!stats || leg.added) return leg;
+    // 1 分に満たない遅れでは予測を出さない（時刻表どおりで十分）
+    const predicted = leg.live_departure == null && !leg.status && stats.median >= 60 ? leg.sched_departure + stats.median : undefined;
+    return { ...leg, usual_delay: stats, ...(predicted !== undefined ? { predicted_departure: predicted } : {}) };
+  });
+}
+
+/** **************************************
+ * 7-4) 事業者（agencies.json）
+ *****************************************/
+/**
+ * 複数の事業者が走る盤面で、便に事業者名と色（事業者の色、無ければ路線の色）を付ける。事業者が 1 つなら何もしない。
+ * @param {MergedLeg[]} legs
+ * @param {Map<string,GtfsRoute>} routesById
+ * @param {Map<string,GtfsAgency>} agencyById
+ * @returns {MergedLeg[]}
+ */
+export function attachAgencies(legs, routesById, agencyById) {
+  if (agencyById.size < 2) return legs;
+  return legs.map(leg => {
+    const route = routesById.get(leg.route_id);
+    const agency = agencyById.get(route?.agency_id ?? "");
+    if (!agency) return leg;
+    const color = agency.agency_color || route?.route_color || "";
+    return { ...leg, agency_name: agency.agency_name, ...(color ? { agency_color: color } : {}) };
+  });
+}
+
+/** **************************************
+ * 7-5) 便の詳細（停車順）
+ *****************************************/
+/**
+ * 便の全停留所と、停留所ごとの時刻表・予測の時刻。時刻表に無い臨時便は stop_time_update に載っている停留所だけ。
+ * @param {StaticIndex} idx
+ * @param {MergedLeg} leg
+ * @param {RtFeed|undefined} rt
+ * @returns {TripStop[]}
+ */
+export function tripStops(idx, leg, rt, alias, nowEpochSec = Math.floor(Date.now()/1000)) {
+  const aliasLut = buildAliasLookup(alias ?? {});
+  const key = serviceTripKey(leg.trip_id, leg.service_day_offset);
+  const tu = rt?.entity.map(e => e.tripUpdate).find(u => u?.trip?.tripId === leg.trip_id && (leg.added || rtTripKey(idx, u) === key));
+  const stopOf = (sid) => {
+    const s = idx.stopsById.get(sid);
+    const lat = Number(s?.stop_lat), lon = Number(s?.stop_lon);
+    return { stop_id: sid, stop_name: s?.stop_name ?? sid, ...(Number.isFinite(lat) && Number.isFinite(lon) && (lat || lon) ? { lat, lon } : {}) };
+  };
+  /** @type {TripStop[]} */
+  let out;
+  const seqList = idx.stopTimesByTrip.get(key);
+  if (seqList) {
+    const canceled = tu?.scheduleRelationship === "CANCELED";
+    out = seqList.map(r => {
+      const dep = tu && !canceled ? predictAtStop(tu, seqList, r, "departure", aliasLut, nowEpochSec) : undefined;
+      const arr = tu && !canceled ? predictAtStop(tu, seqList, r, "arrival", aliasLut, nowEpochSec) : undefined;
+      const skipped = canceled || dep?.relationship === "SKIPPED";
+      return {
+        ...stopOf(r.stop_id),
+        stop_sequence: r.stop_sequence,
+        ...(r.arrival_time || r.departure_time ? { sched_arrival: rowSecs(r, "arrival"), sched_departure: rowSecs(r, "departure") } : {}),
+        ...(!skipped && arr?.live != null ? { live_arrival: arr.live } : {}),
+        ...(!skipped && dep?.live != null ? { live_departure: dep.live } : {}),
+        ...(skipped ? { skipped: true } : {}),
+      };
+    });
+  } else {
+    out = [...(tu?.stopTimeUpdate ?? [])].sort((a,b)=>(a.stopSequence ?? 0) - (b.stopSequence ?? 0)).flatMap((u, i) => {
+      if (!u.stopId) return [];
+      const arr = (u.arrival ?? u.departure)?.time, dep = (u.departure ?? u.arrival)?.time;
+      const live = (t) => typeof t === "number" ? epochToJstDaySecs(t, nowEpochSec) : undefined;
+      return [{
+        ...stopOf(normalizeStopId(u.stopId, aliasLut)),
+        stop_sequence: u.stopSequence ?? i + 1,
+        ...(u.scheduleRelationship === "SKIPPED" ? { skipped: true } : { live_arrival: live(arr), live_departure: live(dep) }),
+      }];
+    });
+  }
+  const originIdx = out.findIndex(s => s.stop_id === leg.origin_stop_id);
+  const destIdx = out.findIndex((s, i) => i > originIdx && s.stop_id === leg.dest_stop_id);
+  if (originIdx >= 0) out[originIdx].role = "origin";
+  if (destIdx >= 0) out[destIdx].role = "dest";
+  return out;
+}
+
+/** **************************************
+ * 7-6) 運賃（fares.json）
+ *****************************************/
+/**
+ * 路線と乗車・降車の停留所から運賃を引く。区域の一致する規則、片側だけ一致する規則、区域を問わない規則の順に探す。
+ * 停留所は別名（のりば・他事業者の同じ停留所）の区域も見る。運賃が分からなければ null。
+ * @param {FaresJson|null} fares
+ * @param {string} routeId
+ * @param {string} originStopId
+ * @param {string} destStopId
+ * @param {Record<string,string[]>} [alias]
+ * @returns {FareQuote|null}
+ */
+export function fareOf(fares, routeId, originStopId, destStopId, alias) {
+  const table = fares?.tables?.[fares.routes?.[routeId] ?? -1];
+  if (!table) return null;
+  const zonesOf = (id) => [id, ...(alias?.[id] ?? [])].flatMap(s => fares.zones?.[s] ?? []);
+  const from = zonesOf(originStopId), to = zonesOf(destStopId);
+  const keys = [
+    ...from.flatMap(o => to.map(d => `${o}>${d}`)),
+    ...from.map(o => `${o}>*`),
+    ...to.map(d => `*>${d}`),
+    "*>*",
+  ];
+  const id = keys.map(k => table[k]).find(v => v !== undefined);
+  if (id === undefined) return null;
+  const prices = (fares.prices[id] ?? []).map(([vi, amount]) => ({ ...fares.variants[vi], amount }));
+  return prices.length ? { id, prices } : null;
+}
+
+/**
+ * 便に運賃を付け、ほかの便と運賃の違う便（系統によって経路・運賃が変わる区間）に fare_differs を立てる。
+ * 「ほかの便」は運賃の分かる便のうち最も多い運賃。
+ * @param {MergedLeg[]} legs
+ * @param {FaresJson|null} fares
+ * @param {Record<string,string[]>} [alias]
+ * @returns {MergedLeg[]}
+ */
+export function attachFares(legs, fares, alias) {
+  if (!fares) return legs;
+  const quotes = legs.map(l => fareOf(fares, l.route_id, l.origin_stop_id, l.dest_stop_id, alias));
+  /** @type {Map<number, number>} */
+  const count = new Map();
+  for (const q of quotes) if (q) count.set(q.id, (count.get(q.id) ?? 0) + 1);
+  const usual = [...count].sort((a, b) => b[1] - a[1])[0]?.[0];
+  return legs.map((leg, i) => {
+    const q = quotes[i];
+    if (!q) return leg;
+    return { ...leg, fare: q, ...(count.size > 1 && q.id !== usual ? { fare_differs: true } : {}) };
+  });
+}
+
+/** **************************************
+ * 8) データ取得（JSON優先／CSV fallback）
+ *****************************************/
+/** 旧形式（行オブジェクトの配列） @returns {GtfsStopTime[]} */
+function decodeLegacyPartition(arr) {
+  for (const r of arr) if (r.stop_sequence != null) r.stop_sequence = Number(r.stop_sequence);
+  return arr;
+}
+/** format_version 2（列指向。詳細は scripts/make-static-json.mjs 冒頭） @returns {GtfsStopTime[]} */
+function decodeCompactPartition(p) {
+  /** @type {GtfsStopTime[]} */
+  const out = [];
+  for (const [tripId, patternIdx, deltas, dwells] of p.trips) {
+    const [stopIdxs, seqs] = p.patterns[patternIdx];
+    let t = 0;
+    for (let i = 0; i < stopIdxs.length; i++) {
+      const d = deltas[i];
+      let arrival_time = "", departure_time = "";
+      if (d != null) {
+        t += d;
+        departure_time = toHHMMSS(t);
+        arrival_time = toHHMMSS(t - (dwells?.[i] ?? 0));
+      }
+      out.push({ trip_id: tripId, arrival_time, departure_time, stop_id: p.stops[stopIdxs[i]], stop_sequence: seqs ? seqs[i] : i + 1 });
+    }
+  }
+  return out;
+}
+/** @type {Record<number,(payload:any)=>GtfsStopTime[]>} */
+const STOP_TIMES_DECODERS = { 1: decodeLegacyPartition, 2: decodeCompactPartition };
+/**
+ * stop_times/by_route/*.json 1 ファイル分を行の配列に戻す（format_version は stop_times/index.json の値）。
+ * @returns {GtfsStopTime[]}
+ */
+export function decodeStopTimesPartition(payload, formatVersion = 1) {
+  if (!payload) return [];
+  if (Array.isArray(payload)) return decodeLegacyPartition(payload);
+  return (STOP_TIMES_DECODERS[formatVersion] ?? decodeLegacyPartition)(payload);
+}
+
+function pickRouteIdsFromRt(rt, tripsById) {
+  const set = new Set();
+  if (!rt) return set;
+  for (const e of rt.entity) {
+    const t = e.tripUpdate?.trip;
+    if (!t) continue;
+    let rid = t.routeId;
+    if (!rid && t.tripId) rid = tripsById.get(t.tripId)?.route_id;
+    if (rid) set.add(String(rid));
+  }
+  return set;
+}
+// 起点・終点のどちらかに停車する route_id。両方に停車する路線は直通、
+// 片方だけの路線は乗換案内（起点側の路線 → 終点側の路線）に使う
+function routeIdsServingPair(stopRoutes, originIds, destIds) {
+  const routesAt = (ids) => ids.flatMap(id => stopRoutes[id] ?? []);
+  return new Set([...routesAt(originIds), ...routesAt(destIds)]);
+}
+// 当日の便と、前日の運行日の便のうち 24:00 を過ぎて走る分（day_offset = -1 で当日の時刻軸に載せる）
+function selectServiceDayStopTimes(stopTimesRaw, activeToday, activeYesterday) {
+  if (!activeToday || !activeYesterday) return stopTimesRaw;
+  const pastMidnight = new Set(stopTimesRaw.filter(st => toSecs(st.departure_time || st.arrival_time) >= 86400).map(st => st.trip_id));
+  return [
+    ...stopTimesRaw.filter(st => activeToday.has(st.trip_id)),
+    ...stopTimesRaw.filter(st => activeYesterday.has(st.trip_id) && pastMidnight.has(st.trip_id))
+      .map(st => ({ ...st, trip_id: serviceTripKey(st.trip_id, -1), gtfs_trip_id: st.trip_id, day_offset: -1 }))
+  ];
+}
+
+/**
+ * 静的 GTFS（docs/ 配下の JSON）を読み込み、区間ごとの発車一覧・乗換案内を返すオブジェクトを作る。
+ * fetcher はブラウザの fetch と同じ形（Node では fileFetcher(docsDir) も使える）。clock は epoch ミリ秒を返す。
+ * @param {Fetcher} [fetcher]
+ * @param {{ baseUrl?:string, csv?:boolean, clock?:()=>number, alias?:Record<string,string[]>, fallbackMinDepartures?:number, rtFreshness?:RtFreshnessOptions }} [opts]
+ *   alias: 停留所 ID の別名（{ 正規 ID: [別名...] }）。fallbackMinDepartures: stop_routes.json が無いときに集める発車数の目安
+ *   rtFreshness: リアルタイム情報を古い・無しとみなす秒数（既定は RT_STALE_SEC / RT_MAX_AGE_SEC）
+ */
+export async function loadFeed(fetcher = globalThis.fetch, { baseUrl = "", csv = false, clock = () => Date.now(), alias: extraAlias = {}, fallbackMinDepartures = 13, rtFreshness = {} } = {}) {
+  const get = (rel) => fetcher(baseUrl + rel, { cache: "no-store" });
+  async function fetchJsonOrNull(rel) {
+    try {
+      const res = await get(rel);
+      return res.ok ? await res.json() : null;
+    } catch {
+      return null;
+    }
+  }
+  async function fetchJsonOrCsv(rel, isCsv) {
+    const res = await get(rel);
+    if (!res.ok) throw new Error(`${rel}: ${res.status} ${res.statusText}`);
+    if (!isCsv) return res.json();
+    const rows = parseCsv(await res.text());
+    for (const row of rows) if (row.stop_sequence != null) row.stop_sequence = Number(row.stop_sequence);
+    return rows;
+  }
+
+  const files = csv ? STATIC_CSV : STATIC_JSON;
+  const [stops, trips, routes, calendar, calendar_dates, meta, agencies, stopLinks] = await Promise.all([
+    fetchJsonOrCsv(files.stops, csv),
+    fetchJsonOrCsv(files.trips, csv),
+    fetchJsonOrCsv(files.routes, csv),
+    fetchJsonOrNull(CALENDAR_JSON.calendar),
+    fetchJsonOrNull(CALENDAR_JSON.calendar_dates),
+    fetchJsonOrNull(FEED_META_URL),
+    fetchJsonOrNull(AGENCIES_URL),
+    fetchJsonOrNull(STOP_LINKS_URL)
+  ]);
+  /** @type {GtfsStop[]} */ const stopList = stops;
+  /** @type {GtfsTrip[]} */ const tripList = trips;
+  /** @type {GtfsRoute[]} */ const routeList = routes;
+  /** @type {GtfsAgency[]} */ const agencyList = agencies ?? [];
+  /** @type {Record<string,string[]>|null} */ const stopLinkMap = stopLinks;
+  const tripsById = new Map(tripList.map(t => [t.trip_id, t]));
+  const routesById = new Map(routeList.map(r => [r.route_id, r]));
+  const agencyById = new Map(agencyList.map(a => [a.agency_id, a]));
+  const stopIds = new Set(stopList.map(s => s.stop_id));
+
+  // ymd の運行日に走る service_id。calendar が無いデプロイでは null（絞り込まない）
+  function activeServices(ymd = todayYmdJst(clock())) {
+    if (!calendar || !calendar_dates) return null;
+    return activeServiceIds(calendar, calendar_dates, ymd);
+  }
+  // 有効期間は feed_meta.json を優先し、無ければ calendar から求める
+  const validityRange = meta?.validity ?? (calendar && calendar_dates ? feedDateRange(calendar, calendar_dates) : null);
+  function activeTripIds(ymd) {
+    const svc = activeServices(ymd);
+    if (!svc) return null;
+    return new Set(tripList.filter(t => svc.has(t.service_id)).map(t => t.trip_id));
+  }
+
+  // stop_times/index.json：旧形式は配列、現行は { format_version, routes }
+  let stopTimesIndex /** @type {Promise<{format_version:number, routes:{route_id:string, file:string, count:number}[]}|null>|undefined} */ = undefined;
+  function loadStopTimesIndex() {
+    return stopTimesIndex ??= fetchJsonOrNull(STOP_TIMES_INDEX_URL).then(raw => {
+      if (Array.isArray(raw)) return { format_version: 1, routes: raw };
+      if (raw && Array.isArray(raw.routes)) return { format_version: Number(raw.format_version) || 1, routes: raw.routes };
+      return null;
+    });
+  }
+  // stop_id -> route_id[]（make-static-json が生成）。未生成のデプロイでは null
+  let stopRoutesIndex /** @type {Promise<Record<string,string[]>|null>|undefined} */ = undefined;
+  const loadStopRoutesIndex = () => stopRoutesIndex ??= fetchJsonOrNull(STOP_ROUTES_URL);
+  // 遅れの実績（scripts/aggregate-delays.mjs が生成）。無いデプロイでは null
+  let delayStats /** @type {Promise<{pairs?:Record<string,any>}|null>|undefined} */ = undefined;
+  const loadDelayStats = () => delayStats ??= fetchJsonOrNull(DELAY_STATS_URL);
+  // 運賃（make-static-json が運賃の表から生成）。無いデプロイでは null
+  let fares /** @type {Promise<FaresJson|null>|undefined} */ = undefined;
+  const loadFares = () => fares ??= fetchJsonOrNull(FARES_URL);
+
+  // 路線ごとの stop_times。区間を切り替えても同じ路線は取り直さない
+  /** @type {Map<string, Promise<GtfsStopTime[]>>} */
+  const partitions = new Map();
+  async function loadStopTimesByRouteIds(routeIds) {
+    const index = await loadStopTimesIndex();
+    const fileByRoute = new Map((index?.routes ?? []).map(e => [String(e.route_id), e.file]));
+    const chunks = [];
+    for (const routeId of routeIds) {
+      const key = String(routeId);
+      if (!partitions.has(key)) {
+        const url = fileByRoute.get(key) ?? `${STOP_TIMES_BY_ROUTE_DIR}${key}.json`;
+        partitions.set(key, fetchJsonOrNull(url).then(payload => decodeStopTimesPartition(payload, index?.format_version)));
+      }
+      chunks.push(await partitions.get(key));
+    }
+    return chunks.flat();
+  }
+  async function loadStopTimesFallback(originIds, needCount) {
+    const index = await loadStopTimesIndex();
+    const routeIds = (index?.routes ?? []).map(e => String(e.route_id));
+    const out = [];
+    const STEP = 10;
+    for (let start = 0; start < routeIds.length; start += STEP) {
+      const chunk = await loadStopTimesByRouteIds(routeIds.slice(start, start + STEP));
+      out.push(...chunk);
+      const enough = out.some(Boolean) && countDeparturesAtStop(out, originIds) >= needCount;
+      if (enough) break;
+    }
+    return out;
+    function countDeparturesAtStop(stopTimes, stopIds) {
+      let c = 0; for (const st of stopTimes) if (stopIds.has(st.stop_id)) c++; return c;
+    }
+  }
+  async function loadPartitionedStopTimes(rt, originIds, destIds) {
+    const stopRoutes = await loadStopRoutesIndex();
+    if (stopRoutes) return await loadStopTimesByRouteIds(routeIdsServingPair(stopRoutes, originIds, destIds));
+    const rtRouteIds = pickRouteIdsFromRt(rt, tripsById);
+    if (rtRouteIds.size > 0) return await loadStopTimesByRouteIds(rtRouteIds);
+    return await loadStopTimesFallback(new Set(originIds), fallbackMinDepartures);
+  }
+
+  // 区間の停留所別名（のりばのまとめ・他事業者の同じ停留所）と、起点・終点に停車する路線の stop_times
+  async function loadPairStopTimes(from, to, rt) {
+    const alias = addStopLinks({ ...extraAlias, ...buildPlatformAlias(stopList, [from, to]) }, stopLinkMap, [from, to]);
+    const expand = (id) => [id, ...(alias[id] ?? [])];
+    return { alias, raw: await loadPartitionedStopTimes(rt, expand(from), expand(to)) };
+  }
+
+  // 経路（shapes/<shape_id>.json）。無いデプロイでは null
+  /** @type {Map<string, Promise<[number,number][]|null>>} */
+  const shapes = new Map();
+  function loadShape(shapeId) {
+    if (!shapes.has(shapeId)) shapes.set(shapeId, fetchJsonOrNull(SHAPES_DIR + shapeFileOf(shapeId)).then(doc => Array.isArray(doc?.points) ? doc.points : null));
+    return /** @type {Promise<[number,number][]|null>} */ (shapes.get(shapeId));
+  }
+
+  /** @type {Map<string, Promise<{idx:StaticIndex, alias:Record<string,string[]>}>>} */
+  const pairIndexes = new Map();
+  /**
+   * 区間（from → to）と運行日の索引。親停留所 ID（"260"）は配下ののりばをまとめて扱う。
+   * 索引は区間・運行日ごとに使い回す（rt は stop_routes.json が無いときの路線の絞り込みにだけ使う）。
+   * @param {{ from:string, to:string, rt?:RtFeed, now?:number }} q
+   */
+  function pairIndex({ from, to, rt, now = clock() }) {
+    const missing = [from, to].find(id => !stopIds.has(id));
+    if (missing) return Promise.reject(new Error(`停留所 ${missing} が見つかりません。区間を選び直してください。`));
+    const serviceDate = todayYmdJst(now);
+    const key = `${from}|${to}|${serviceDate}`;
+    if (!pairIndexes.has(key)) {
+      pairIndexes.set(key, (async () => {
+        const { alias, raw } = await loadPairStopTimes(from, to, rt);
+        const stopTimes = selectServiceDayStopTimes(raw, activeTripIds(serviceDate), activeTripIds(ymdAddDays(serviceDate, -1)));
+        return { idx: buildStaticIndex(stopList, tripList, stopTimes, routeList, alias, serviceDate), alias };
+      })());
+      pairIndexes.get(key)?.catch(() => pairIndexes.delete(key));
+    }
+    return /** @type {Promise<{idx:StaticIndex, alias:Record<string,string[]>}>} */ (pairIndexes.get(key));
+  }
+
+  return {
+    stops: stopList,
+    trips: tripList,
+    routes: routeList,
+    agencies: agencyList,
+    /** 事業者をまたぐ同じ場所の停留所（stop_links.json。単一事業者なら null） */
+    stopLinks: stopLinkMap,
+    tripsById,
+    clock,
+    meta,
+    activeServices,
+    /** ymd の運行日から見た時刻表の有効期限（期間が分からなければ null） */
+    validity: (ymd = todayYmdJst(clock())) => feedValidity(validityRange, ymd),
+    /** now から見たリアルタイム情報の鮮度（rtFreshness の閾値で判定） */
+    realtimeFreshness: (rt, now = clock()) => realtimeFreshness(rt, Math.floor(now / 1000), rtFreshness),
+    pairIndex,
+    /**
+     * from → to の直通便（rt があれば遅延・運休・臨時便を反映、delay_stats.json があれば遅れの実績、fares.json があれば運賃を付ける）。
+     * 複数事業者のフィードでは全事業者の便を発車順に並べ、事業者名と色を付ける。
+     * rt は usableRealtime で絞ってから使う（古すぎるフィード・別の運行日の更新は反映しない）。以下の journeys・tripDetail も同じ。
+     * 時刻は now の運行日起点の秒。
+     * @param {{ from:string, to:string, now?:number, rt?:RtFeed }} q
+     * @returns {Promise<MergedLeg[]>}
+     */
+    async departures({ from, to, now = clock(), rt: rawRt }) {
+      const rt = usableRealtime(rawRt, Math.floor(now / 1000), rtFreshness);
+      const [{ idx, alias }, stats, fareTable] = await Promise.all([pairIndex({ from, to, rt, now }), loadDelayStats(), loadFares()]);
+      const legs = mergeTripUpdatesForOriginToDest(idx, rt, from, to, Math.floor(now / 1000), alias);
+      return attachFares(attachAgencies(applyDelayHistory(legs, stats?.pairs?.[`${from}|${to}`]), routesById, agencyById), fareTable, alias);
+    },
+    /** ymd に有効な曜日パターン（calendar が無ければ空） */
+    servicePatterns: (ymd = todayYmdJst(clock())) => servicePatterns(calendar ?? [], ymd),
+    /**
+     * from → to の 1 日分の直通便（時刻表どおり、発車順）。serviceIds があればその service_id の便、
+     * 無ければ ymd の運行日に走る便（calendar_dates の例外を反映）。前日の深夜便は含めない。
+     * @param {{ from:string, to:string, ymd?:string, serviceIds?:Set<string> }} q
+     * @returns {Promise<MergedLeg[]>}
+     */
+    async timetable({ from, to, ymd = todayYmdJst(clock()), serviceIds }) {
+      const missing = [from, to].find(id => !stopIds.has(id));
+      if (missing) throw new Error(`停留所 ${missing} が見つかりません。区間を選び直してください。`);
+      const { alias, raw } = await loadPairStopTimes(from, to, undefined);
+      const svc = serviceIds ?? activeServices(ymd);
+      const tripIds = svc && new Set(tripList.filter(t => svc.has(t.service_id ?? "")).map(t => t.trip_id));
+      const stopTimes = tripIds ? raw.filter(st => tripIds.has(st.trip_id)) : raw;
+      const idx = buildStaticIndex(stopList, tripList, stopTimes, routeList, alias, ymd);
+      return mergeTripUpdatesForOriginToDest(idx, undefined, from, to, 0, alias);
+    },
+    /**
+     * from → to の乗換案内（到着の早い順）。
+     * @param {{ from:string, to:string, now?:number, rt?:RtFeed }} q
+     * @returns {Promise<Journey[]>}
+     */
+    async journeys({ from, to, now = clock(), rt: rawRt }) {
+      const rt = usableRealtime(rawRt, Math.floor(now / 1000), rtFreshness);
+      const { idx, alias } = await pairIndex({ from, to, rt, now });
+      return planJourneys(idx, rt, from, to, Math.floor(now / 1000), alias);
+    },
+    /**
+     * departures() が返した便の停車順（乗車・降車の停留所に印）と経路。
+     * @param {{ from:string, to:string, leg:MergedLeg, now?:number, rt?:RtFeed }} q
+     * @returns {Promise<TripDetail>}
+     */
+    async tripDetail({ from, to, leg, now = clock(), rt: rawRt }) {
+      const rt = usableRealtime(rawRt, Math.floor(now / 1000), rtFreshness);
+      const { idx, alias } = await pairIndex({ from, to, rt, now });
+      const shapeId = tripsById.get(leg.trip_id)?.shape_id;
+      return { stops: tripStops(idx, leg, rt, alias, Math.floor(now / 1000)), shape: shapeId ? await loadShape(shapeId) : null };
+    }
+  };
+}
+
+/**
+ * Node 用：docs ディレクトリを fetch と同じ形で読む fetcher。
+ * @param {string} dir
+ * @returns {Fetcher}
+ */
+export function fileFetcher(dir) {
+  return async (url) => {
+    const { readFile } = await import("node:fs/promises");
+    const { join } = await import("node:path");
+    try {
+      const text = await readFile(join(dir, url), "utf8");
+      return { ok: true, status: 200, statusText: "OK", json: async () => JSON.parse(text), text: async () => text };
+    } catch {
+      return { ok: false, status: 404, statusText: "Not Found", json: async () => null, text: async () => "" };
+    }
+  };
+}
@@ -0,0 +1,439 @@
+// @ts-check
+// docs/lib/i18n.mjs
+// 盤面の表示言語（ja / ja-Hrkt / en）。UI の文言と、静的データの名前（停留所・路線・行先）の翻訳を扱う。
+// 名前の翻訳は make-static-json が GTFS-JP の translations.txt から書き出す i18n/<言語>.json
+// （{ language, names: { 日本語の名前: 訳 } }）。訳が無い名前は日本語のまま出す。
+//   const t = createTranslator("en");  t("minutesLeft", { n: 5 })   // "in 5 min"
+//   const names = createNameTranslator(await fetchNames(fetch, "en"));  names.of("溝口駅南口")
+//   t.pattern("1111100")                                            // 曜日パターンの名前（"Weekdays"）
+
+export const LANGS = /** @type {const} */ (["ja", "ja-Hrkt", "en"]);
+/** @typedef {typeof LANGS[number]} Lang */
+export const LANG_LABELS = { ja: "日本語", "ja-Hrkt": "にほんご", en: "English" };
+export const NAMES_DIR = "i18n/";
+
+/**
+ * navigator.languages から既定の言語を選ぶ（日本語以外の環境は英語）。ja-Hrkt は選んだときだけ
+ * @param {readonly string[]} [preferred]
+ * @returns {Lang}
+ */
+export function pickLang(preferred = []) {
+  for (const tag of preferred) {
+    const lower = String(tag).toLowerCase();
+    if (lower === "ja-hrkt") return "ja-Hrkt";
+    if (lower.startsWith("ja")) return "ja";
+    if (lower.startsWith("en")) return "en";
+  }
+  return preferred.length ? "en" : "ja";
+}
+/** @returns {Lang} */
+export const normalizeLang = (tag) => LANGS.find(l => l.toLowerCase() === String(tag ?? "").replace("_", "-").toLowerCase()) ?? "ja";
+
+// 曜日パターン（engine.mjs の servicePatterns と同じキー：月〜日の運行有無）
+const PATTERN_KEYS = ["1111100", "0000010", "0000001", "0000011", "1111110", "1111111"];
+
+/** @type {Record<Lang, Record<string, string | ((p: any) => string) | string[]>>} */
+const MESSAGES = {
+  ja: {
+    appName: "バス発車時刻",
+    title: (p) => `${p.from}～${p.to}バス発車時刻`,
+    weekdays: ["日", "月", "火", "水", "木", "金", "土"],   // 日曜始まり（Date#getUTCDay の順）
+    now: (p) => `現在時刻: ${p.time} (${p.weekday}曜日)`,
+    rtFresh: (p) => `リアルタイム情報 ${p.time} 更新`,
+    rtStale: (p) => `リアルタイム情報が古くなっています（${p.time} 更新・${p.min}分前）`,
+    rtMissing: "リアルタイム情報なし・時刻表どおりの時刻です",
+    rowLive: "リアルタイム",
+    rowLiveTitle: "リアルタイム情報による予測",
+    rowLiveStaleTitle: "古いリアルタイム情報による予測",
+    rowScheduled: "時刻表",
+    rowScheduledTitle: "リアルタイム情報が無いため時刻表どおり",
+    simClock: (p) => ` [模擬時計 ×${p.speed}]`,
+    refresh: "更新",
+    offline: "オフライン・時刻表のみ",
+    language: "言語",
+    hideCanceled: "運休・通過便を表示しない",
+    sortByArrival: "到着の早い順",
+    walkBefore: "停留所まで徒歩",
+    walkAfter: "分",
+    changePair: "区間を変更",
+    boarding: "乗車",
+    alighting: "降車",
+    searchPlaceholder: "停留所名・よみで検索",
+    swap: "⇅ 乗車と降車を入れ替え",
+    allPlatforms: "全のりば",
+    platform: (p) => `${p.n}番`,
+    select: "選択",
+    loading: "時刻表を読み込み中...",
+    noDepartures: "本日以降の便が見つかりません。",
+    timetableSummary: "時刻表（1日分）",
+    date: "日付",
+    print: "印刷",
+    bus: "バス",
+    departs: (p) => `${p.time}発`,
+    minutesLeft: (p) => `あと${p.n}分`,
+    delay: (p) => `[遅延${p.n}分]`,
+    added: "臨時",
+    arrival: (p) => `着 ${p.time} (所要 ${p.min}分)`,
+    fareAmount: (p) => p.currency === "JPY" ? `${p.amount}円` : `${p.amount} ${p.currency}`,
+    fareLabel: "運賃",
+    fareDiffers: "他の便と運賃が異なります",
+    fareRider_adult: "大人",
+    fareRider_child: "小児",
+    fareMedia_cash: "現金",
+    fareMedia_ic: "IC",
+    fareMedia_ticket: "乗車券",
+    fareMedia_emv: "タッチ決済",
+    fareMedia_app: "アプリ",
+    hasAlert: "運行情報あり",
+    tapForDetail: "タップで停車順・経路と出発リマインダー",
+    tripDetailTitle: (p) => `${p.time}発 ${p.route} ${p.headsign}`,
+    routeMap: "経路図",
+    stopSkipped: "通過",
+    reminderThis: "🔔 この便で出発を知らせる",
+    reminderCancelThis: "🔔 通知を解除",
+    close: "閉じる",
+    leaveIn: (p) => `出発まで${p.n}分`,
+    leaveNow: "今すぐ出発",
+    cannotMake: "徒歩では間に合いません",
+    status_CANCELED: "運休",
+    status_SKIPPED_ORIGIN: "乗車停留所通過",
+    status_SKIPPED_DEST: "降車停留所通過",
+    onTime: "定刻",
+    signedMin: (p) => `${p.m > 0 ? "+" : ""}${p.m}分`,
+    usualDelay: (p) => `${p.predicted ? "予測 " : ""}通常 ${p.median} (p90 ${p.p90})`,
+    usualDelayTitle: (p) => `過去${p.n}回の実績（定刻率 ${p.rate}%）${p.predicted ? "。リアルタイム情報が無いため、残り時間は通常の遅れで予測" : ""}`,
+    stopsPassed: "通過済み",
+    stopsStopped: "停車中",
+    stopsArriving: "まもなく到着",
+    stopsAway: (p) => `${p.n}停留所前`,
+    vehiclesSummary: "車両の現在位置",
+    furtherBack: "さらに手前",
+    alertDefault: "運行情報",
+    alertDetails: "詳細",
+    journeysSummary: "乗換案内",
+    journeyRealtime: "（リアルタイム）",
+    journeyWalk: (p) => `徒歩 ${p.min}分：${p.from} → ${p.to}`,
+    journeyTransfers: (p) => p.n ? `乗換${p.n}回` : "乗換なし",
+    journeyHeader: (p) => `${p.dep}発 → ${p.arr}着（所要 ${p.min}分・${p.transfers}）`,
+    feedExpired: (p) => `時刻表データの有効期限（${p.date}）が切れています`,
+    feedExpiredBody: "新しいダイヤが公開されるまで、表示される時刻は実際と異なる場合があります。",
+    feedNotStarted: (p) => `時刻表データの有効期間は ${p.date} からです`,
+    feedNotStartedBody: "本日分の時刻は表示されません。",
+    feedExpiring: (p) => `時刻表データは ${p.date} まで有効です（あと${p.days}日）`,
+    feedExpiringBody: "ダイヤ改正の直前は表示が実際と異なる場合があります。",
+    reminderArmed: (p) => `🔔 ${p.label}：${p.time} に通知（徒歩${p.walk}分）`,
+    reminderCancel: "解除",
+    reminderCanceled: "リマインダーを解除しました",
+    reminderPairChanged: "区間を変えたため、出発リマインダーを解除しました",
+    reminderUnavailable: (p) => `${p.label} は${p.status}のため設定できません`,
+    reminderTooFar: (p) => `${p.label} には徒歩${p.walk}分では間に合いません`,
+    reminderNoPermission: "（通知が許可されていないため、この画面に表示します）",
+    reminderBusCanceled: (p) => `${p.label} は${p.status}になりました`,
+    reminderChooseAnother: "別の便を選んでください。",
+    reminderMissed: (p) => `${p.label} に間に合わなくなりました`,
+    reminderEarly: "予定より早く発車します。",
+    reminderMinutesLeft: (p) => `発車まであと${p.n}分です。`,
+    reminderTimeToLeave: "そろそろ出発の時間です",
+    reminderLeaveBody: (p) => `${p.label}（あと${p.n}分${p.delay ? `・${p.delay}分遅れ` : ""}）`,
+    pattern_1111100: "平日", pattern_0000010: "土曜", pattern_0000001: "休日",
+    pattern_0000011: "土休日", pattern_1111110: "月〜土", pattern_1111111: "毎日",
+    patternDays: ["月", "火", "水", "木", "金", "土", "日"],   // 月曜始まり（パターンのキーの順）
+    patternJoin: "・",
+    dateWithWeekday: (p) => `${p.date}（${p.weekday}）`,
+    timetableEmpty: "この区間の直通便はありません。",
+    timetableHour: "時",
+    timetableMinute: "分",
+    timetableNoMark: "無印",
+    timetableCount: (p) => `（${p.n}本）`,
+    timetableArrives: (p) => ` → ${p.time}着`,
+  },
+  "ja-Hrkt": {
+    appName: "ばす はっしゃ じこく",
+    title: (p) => `${p.from}～${p.to} ばす はっしゃ じこく`,
+    weekdays: ["にち", "げつ", "か", "すい", "もく", "きん", "ど"],
+    now: (p) => `いま: ${p.time} (${p.weekday}ようび)`,
+    rtFresh: (p) => `りあるたいむ じょうほう ${p.time} こうしん`,
+    rtStale: (p) => `りあるたいむ じょうほう が ふるく なっています（${p.time} こうしん・${p.min}ふん まえ）`,
+    rtMissing: "りあるたいむ じょうほう なし・じこくひょう どおり の じこく です",
+    rowLive: "りあるたいむ",
+    rowLiveTitle: "りあるたいむ じょうほう による よそく",
+    rowLiveStaleTitle: "ふるい りあるたいむ じょうほう による よそく",
+    rowScheduled: "じこくひょう",
+    rowScheduledTitle: "りあるたいむ じょうほう が ない ので じこくひょう どおり",
+    refresh: "こうしん",
+    offline: "おふらいん・じこくひょう のみ",
+    language: "ことば",
+    hideCanceled: "うんきゅう・つうか の びん を ださない",
+    sortByArrival: "つく の が はやい じゅん",
+    walkBefore: "ていりゅうじょ まで あるいて",
+    walkAfter: "ふん",
+    changePair: "くかん を かえる",
+    boarding: "のる",
+    alighting: "おりる",
+    searchPlaceholder: "ていりゅうじょ の なまえ・よみ で さがす",
+    swap: "⇅ のる と おりる を いれかえ",
+    allPlatforms: "ぜんぶ の のりば",
+    platform: (p) => `${p.n}ばん`,
+    select: "えらぶ",
+    loading: "じこくひょう を よみこみちゅう...",
+    noDepartures: "きょう の これから の びん が ありません。",
+    timetableSummary: "じこくひょう（1にちぶん）",
+    date: "ひづけ",
+    print: "いんさつ",
+    bus: "ばす",
+    departs: (p) => `${p.time}はつ`,
+    minutesLeft: (p) => `あと${p.n}ふん`,
+    delay: (p) => `[${p.n}ふん おくれ]`,
+    added: "りんじ",
+    arrival: (p) => `つく ${p.time} (${p.min}ふん)`,
+    fareAmount: (p) => p.currency === "JPY" ? `${p.amount} えん` : `${p.amount} ${p.currency}`,
+    fareLabel: "うんちん",
+    fareDiffers: "ほか の ばす と うんちん が ちがいます",
+    fareRider_adult: "おとな",
+    fareRider_child: "こども",
+    fareMedia_cash: "げんきん",
+    fareMedia_ic: "IC かーど",
+    fareMedia_ticket: "きっぷ",
+    fareMedia_emv: "たっち けっさい",
+    fareMedia_app: "あぷり",
+    hasAlert: "うんこう じょうほう あり",
+    tapForDetail: "たっぷ で とまる ばしょ・みち と しゅっぱつ の おしらせ",
+    tripDetailTitle: (p) => `${p.time} はつ ${p.route} ${p.headsign}`,
+    routeMap: "みち の ず",
+    stopSkipped: "とまらない",
+    reminderThis: "🔔 この ばす で しゅっぱつ を おしらせ",
+    reminderCancelThis: "🔔 おしらせ を やめる",
+    close: "とじる",
+    leaveIn: (p) => `でかける まで ${p.n}ふん`,
+    leaveNow: "いますぐ でかける",
+    cannotMake: "あるいて は まにあいません",
+    status_CANCELED: "うんきゅう",
+    status_SKIPPED_ORIGIN: "のる ていりゅうじょ を つうか",
+    status_SKIPPED_DEST: "おりる ていりゅうじょ を つうか",
+    onTime: "じこくどおり",
+    signedMin: (p) => `${p.m > 0 ? "+" : ""}${p.m}ふん`,
+    usualDelay: (p) => `${p.predicted ? "よそく " : ""}ふだん ${p.median} (p90 ${p.p90})`,
+    usualDelayTitle: (p) => `これまで ${p.n}かい の きろく（じこくどおり ${p.rate}%）`,
+    stopsPassed: "つうか ずみ",
+    stopsStopped: "ていしゃ ちゅう",
+    stopsArriving: "まもなく つきます",
+    stopsAway: (p) => `${p.n} ていりゅうじょ まえ`,
+    vehiclesSummary: "ばす の いま の ばしょ",
+    furtherBack: "もっと てまえ",
+    alertDefault: "うんこう じょうほう",
+    alertDetails: "くわしく",
+    journeysSummary: "のりかえ あんない",
+    journeyRealtime: "（りあるたいむ）",
+    journeyWalk: (p) => `あるく ${p.min}ふん：${p.from} → ${p.to}`,
+    journeyTransfers: (p) => p.n ? `のりかえ ${p.n}かい` : "のりかえ なし",
+    journeyHeader: (p) => `${p.dep}はつ → ${p.arr}つく（${p.min}ふん・${p.transfers}）`,
+    feedExpired: (p) => `じこくひょう の きげん（${p.date}）が きれています`,
+    feedExpiredBody: "あたらしい だいや が でるまで、じこく が ちがう かもしれません。",
+    feedNotStarted: (p) => `じこくひょう は ${p.date} から つかえます`,
+    feedNotStartedBody: "きょう の じこく は でません。",
+    feedExpiring: (p) => `じこくひょう は ${p.date} まで つかえます（あと${p.days}にち）`,
+    feedExpiringBody: "だいや が かわる まえ は じこく が ちがう かもしれません。",
+    reminderArmed: (p) => `🔔 ${p.label}：${p.time} に おしらせ（あるいて ${p.walk}ふん）`,
+    reminderCancel: "やめる",
+    reminderCanceled: "おしらせ を やめました",
+    reminderPairChanged: "くかん を かえた ので、おしらせ を やめました",
+    reminderUnavailable: (p) => `${p.label} は ${p.status} なので えらべません`,
+    reminderTooFar: (p) => `${p.label} には あるいて ${p.walk}ふん では まにあいません`,
+    reminderNoPermission: "（つうち が ゆるされていない ので、この がめん に だします）",
+    reminderBusCanceled: (p) => `${p.label} は ${p.status} に なりました`,
+    reminderChooseAnother: "ほか の びん を えらんで ください。",
+    reminderMissed: (p) => `${p.label} に まにあわなく なりました`,
+    reminderEarly: "よてい より はやく でます。",
+    reminderMinutesLeft: (p) => `でる まで あと ${p.n}ふん です。`,
+    reminderTimeToLeave: "そろそろ でかける じかん です",
+    reminderLeaveBody: (p) => `${p.label}（あと${p.n}ふん${p.delay ? `・${p.delay}ふん おくれ` : ""}）`,
+    pattern_1111100: "へいじつ", pattern_0000010: "どよう", pattern_0000001: "きゅうじつ",
+    pattern_0000011: "どきゅうじつ", pattern_1111110: "げつ〜ど", pattern_1111111: "まいにち",
+    patternDays: ["げつ", "か", "すい", "もく", "きん", "ど", "にち"],
+    patternJoin: "・",
+    dateWithWeekday: (p) => `${p.date}（${p.weekday}）`,
+    timetableEmpty: "この くかん を ちょくつう で はしる びん は ありません。",
+    timetableHour: "じ",
+    timetableMinute: "ふん",
+    timetableNoMark: "しるし なし",
+    timetableCount: (p) => `（${p.n}ぽん）`,
+    timetableArrives: (p) => ` → ${p.time}つく`,
+  },
+  en: {
+    appName: "Bus departures",
+    title: (p) => `Buses: ${p.from} → ${p.to}`,
+    weekdays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    now: (p) => `Now: ${p.time} (${p.weekday})`,
+    rtFresh: (p) => `Live data updated ${p.time}`,
+    rtStale: (p) => `Live data is out of date (updated ${p.time}, ${p.min} min ago)`,
+    rtMissing: "No live data – scheduled times only",
+    rowLive: "Live",
+    rowLiveTitle: "Prediction from live data",
+    rowLiveStaleTitle: "Prediction from out-of-date live data",
+    rowScheduled: "Scheduled",
+    rowScheduledTitle: "No live data for this bus – scheduled time",
+    simClock: (p) => ` [simulated clock ×${p.speed}]`,
+    refresh: "Refresh",
+    offline: "Offline – timetable only",
+    language: "Language",
+    hideCanceled: "Hide cancelled / skipped buses",
+    sortByArrival: "Earliest arrival first",
+    walkBefore: "Walk to stop",
+    walkAfter: "min",
+    changePair: "Change stops",
+    boarding: "From",
+    alighting: "To",
+    searchPlaceholder: "Search by stop name or reading",
+    swap: "⇅ Swap from / to",
+    allPlatforms: "All platforms",
+    platform: (p) => `Platform ${p.n}`,
+    select: "Select",
+    loading: "Loading timetable...",
+    noDepartures: "No more buses today.",
+    timetableSummary: "Timetable (full day)",
+    date: "Date",
+    print: "Print",
+    bus: "Bus",
+    departs: (p) => `${p.time}`,
+    minutesLeft: (p) => `in ${p.n} min`,
+    delay: (p) => `[${p.n} min late]`,
+    added: "Extra",
+    arrival: (p) => `arr. ${p.time} (${p.min} min)`,
+    fareAmount: (p) => p.currency === "JPY" ? `¥${p.amount}` : `${p.amount} ${p.currency}`,
+    fareLabel: "Fare",
+    fareDiffers: "Fare differs from other buses",
+    fareRider_adult: "Adult",
+    fareRider_child: "Child",
+    fareMedia_cash: "cash",
+    fareMedia_ic: "IC card",
+    fareMedia_ticket: "ticket",
+    fareMedia_emv: "contactless",
+    fareMedia_app: "app",
+    hasAlert: "Service alert",
+    tapForDetail: "Tap for stops, route map and a departure reminder",
+    tripDetailTitle: (p) => `${p.time} ${p.route} to ${p.headsign}`,
+    routeMap: "Route map",
+    stopSkipped: "Not stopping",
+    reminderThis: "🔔 Remind me for this bus",
+    reminderCancelThis: "🔔 Cancel reminder",
+    close: "Close",
+    leaveIn: (p) => `leave in ${p.n} min`,
+    leaveNow: "leave now",
+    cannotMake: "too late on foot",
+    status_CANCELED: "Cancelled",
+    status_SKIPPED_ORIGIN: "Skips boarding stop",
+    status_SKIPPED_DEST: "Skips destination",
+    onTime: "on time",
+    signedMin: (p) => `${p.m > 0 ? "+" : ""}${p.m} min`,
+    usualDelay: (p) => `${p.predicted ? "expected " : ""}usually ${p.median} (p90 ${p.p90})`,
+    usualDelayTitle: (p) => `Based on ${p.n} past runs (${p.rate}% on time)${p.predicted ? ". No live data, so the countdown uses the usual delay" : ""}`,
+    stopsPassed: "passed",
+    stopsStopped: "at the stop",
+    stopsArriving: "arriving",
+    stopsAway: (p) => `${p.n} stop${p.n === 1 ? "" : "s"} away`,
+    vehiclesSummary: "Where the buses are",
+    furtherBack: "further back",
+    alertDefault: "Service alert",
+    alertDetails: "Details",
+    journeysSummary: "Journeys with transfers",
+    journeyRealtime: " (live)",
+    journeyWalk: (p) => `Walk ${p.min} min: ${p.from} → ${p.to}`,
+    journeyTransfers: (p) => p.n ? `${p.n} transfer${p.n === 1 ? "" : "s"}` : "direct",
+    journeyHeader: (p) => `${p.dep} → ${p.arr} (${p.min} min, ${p.transfers})`,
+    feedExpired: (p) => `The timetable data expired on ${p.date}`,
+    feedExpiredBody: "Times shown may differ from actual service until a new timetable is published.",
+    feedNotStarted: (p) => `The timetable data is valid from ${p.date}`,
+    feedNotStartedBody: "No times are shown for today.",
+    feedExpiring: (p) => `The timetable data is valid until ${p.date} (${p.days} days left)`,
+    feedExpiringBody: "Times may differ from actual service just before a timetable change.",
+    reminderArmed: (p) => `🔔 ${p.label}: reminder at ${p.time} (${p.walk} min walk)`,
+    reminderCancel: "Cancel",
+    reminderCanceled: "Reminder cancelled",
+    reminderPairChanged: "Reminder cancelled because the stops changed",
+    reminderUnavailable: (p) => `${p.label} cannot be chosen (${p.status})`,
+    reminderTooFar: (p) => `${p.label} cannot be reached with a ${p.walk} min walk`,
+    reminderNoPermission: " (Notifications are not allowed, so the reminder shows on this page)",
+    reminderBusCanceled: (p) => `${p.label}: ${p.status}`,
+    reminderChooseAnother: "Please choose another bus.",
+    reminderMissed: (p) => `You can no longer make ${p.label}`,
+    reminderEarly: "It is leaving earlier than scheduled.",
+    reminderMinutesLeft: (p) => `It leaves in ${p.n} min.`,
+    reminderTimeToLeave: "Time to leave",
+    reminderLeaveBody: (p) => `${p.label} (in ${p.n} min${p.delay ? `, ${p.delay} min late` : ""})`,
+    pattern_1111100: "Weekdays", pattern_0000010: "Saturdays", pattern_0000001: "Sundays & holidays",
+    pattern_0000011: "Weekends & holidays", pattern_1111110: "Mon–Sat", pattern_1111111: "Daily",
+    patternDays: ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"],
+    patternJoin: "/",
+    dateWithWeekday: (p) => `${p.date} (${p.weekday})`,
+    timetableEmpty: "No direct buses between these stops.",
+    timetableHour: "Hour",
+    timetableMinute: "Minute",
+    timetableNoMark: "No mark",
+    timetableCount: (p) => ` (${p.n} buses)`,
+    timetableArrives: (p) => ` → arr. ${p.time}`,
+  },
+};
+
+/**
+ * @typedef {((key: string, params?: Record<string, any>) => string) & { lang: Lang, list: (key: string) => string[], pattern: (key: string) => string }} Translator
+ */
+
+/**
+ * 言語ごとの文言。訳の無いキーは日本語にフォールバックする。
+ * @param {string} [lang]
+ * @returns {Translator}
+ */
+export function createTranslator(lang = "ja") {
+  const code = normalizeLang(lang);
+  const lookup = (key) => MESSAGES[code][key] ?? MESSAGES.ja[key];
+  const t = /** @type {Translator} */ ((key, params = {}) => {
+    const m = lookup(key);
+    if (typeof m === "function") return m(params);
+    return typeof m === "string" ? m : key;
+  });
+  t.lang = code;
+  t.list = (key) => { const m = lookup(key); return Array.isArray(m) ? m : []; };
+  // 既知のパターンは名前、それ以外は運行する曜日を並べる
+  t.pattern = (key) => PATTERN_KEYS.includes(key)
+    ? t(`pattern_${key}`)
+    : t.list("patternDays").filter((_, i) => key[i] === "1").join(t("patternJoin"));
+  return t;
+}
+
+/**
+ * 名前の翻訳（i18n/<言語>.json の names）。日本語・未生成なら空の辞書
+ * @param {(url:string, init?:object)=>Promise<{ok:boolean, json():Promise<any>}>} fetcher
+ * @param {string} lang
+ * @param {string} [baseUrl]
+ * @returns {Promise<Record<string,string>>}
+ */
+export async function fetchNames(fetcher, lang, baseUrl = "") {
+  const code = normalizeLang(lang);
+  if (code === "ja") return {};
+  try {
+    const res = await fetcher(`${baseUrl}${NAMES_DIR}${code}.json`);
+    return res.ok ? ((await res.json())?.names ?? {}) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {Record<string,string>} names
+ */
+export function createNameTranslator(names) {
+  const of = (text) => (text && names[text]) || text;
+  return {
+    of,
+    /** 便の路線名・行先を訳す（乗換案内の区間にも使える） */
+    leg: (leg) => ({ ...leg, route_label: of(leg.route_label), headsign: of(leg.headsign) }),
+  };
+}
+
+// 検索用の正規化：全半角・カタカナ/ひらがな・空白の揺れを吸収
+export function normalizeForSearch(s) {
+  return String(s ?? "").normalize("NFKC").toLowerCase()
+    .replace(/[ヶゖ]/g, "け").replace(/[ヵゕ]/g, "か")
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/[\s・･]/g, "");
+}
@@ -0,0 +1,62 @@
+// @ts-check
+// docs/lib/route-map.mjs
+// 便の経路を SVG の簡易地図にする（地図タイルは使わない。緯度・経度をそのまま平面に写す）。盤面の便の詳細で使う。
+//   el.innerHTML = renderRouteMapSvg({ shape: detail.shape, stops: detail.stops, label: "路線図" });
+// shape（[緯度, 経度] の列）が無ければ停留所の座標を順に結ぶ。
+// 乗車・降車の停留所（TripStop.role）は大きな点と名前で示し、その間の区間を太く描く。
+const escapeXml = (s) => String(s ?? "").replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+/**
+ * @param {{ shape?:[number,number][]|null, stops:import("./engine.mjs").TripStop[], label?:string, width?:number, height?:number }} q
+ * @returns {string}  描けない（座標のある停留所が 2 つ未満）なら空文字
+ */
+export function renderRouteMapSvg({ shape, stops, label = "", width = 320, height = 200 }) {
+  const located = stops.filter(s => s.lat != null && s.lon != null);
+  const line = shape?.length ? shape : located.map(s => /** @type {[number,number]} */ ([s.lat, s.lon]));
+  if (located.length < 2 || line.length < 2) return "";
+
+  // 全体が収まるように縮尺を決める（経度は緯度に応じて縮める）
+  const pad = 16;
+  const all = [...line, ...located.map(s => [s.lat, s.lon])];
+  const lats = all.map(p => Number(p[0])), lons = all.map(p => Number(p[1]));
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats), minLon = Math.min(...lons), maxLon = Math.max(...lons);
+  const kx = Math.cos((minLat + maxLat) / 2 * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-6), spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY);
+  const offX = (width - spanX * scale) / 2, offY = (height - spanY * scale) / 2;
+  const xy = (lat, lon) => [offX + (lon - minLon) * kx * scale, height - offY - (lat - minLat) * scale].map(v => Math.round(v * 10) / 10);
+  const points = (pts) => pts.map(([lat, lon]) => xy(lat, lon).join(",")).join(" ");
+
+  // 乗車〜降車の区間：経路上で両停留所に最も近い点の間
+  const origin = located.find(s => s.role === "origin"), dest = located.find(s => s.role === "dest");
+  const nearest = (s, from = 0) => {
+    let best = from, bestD = Infinity;
+    for (let i = from; i < line.length; i++) {
+      const d = (line[i][0] - /** @type {number} */ (s.lat)) ** 2 + ((line[i][1] - /** @type {number} */ (s.lon)) * kx) ** 2;
+      if (d < bestD) { best = i; bestD = d; }
+    }
+    return best;
+  };
+  let ride = "";
+  if (origin && dest) {
+    const a = nearest(origin), b = nearest(dest, a);
+    if (b > a) ride = `<polyline points="${points(line.slice(a, b + 1))}" fill="none" stroke="#1976d2" stroke-width="5" stroke-linejoin="round" stroke-linecap="round"/>`;
+  }
+
+  const dots = located.map(s => {
+    const [x, y] = xy(s.lat, s.lon);
+    if (s.role) return "";
+    return `<circle cx="${x}" cy="${y}" r="2.5" fill="#fff" stroke="${s.skipped ? "#999" : "#1976d2"}" stroke-width="1.5"><title>${escapeXml(s.stop_name)}</title></circle>`;
+  }).join("");
+  const ends = [origin, dest].filter(Boolean).map(s => {
+    const st = /** @type {import("./engine.mjs").TripStop} */ (s);
+    const [x, y] = xy(/** @type {number} */ (st.lat), /** @type {number} */ (st.lon));
+    const anchor = x > width * 0.6 ? "end" : "start", dx = anchor === "end" ? -9 : 9;
+    return `<circle cx="${x}" cy="${y}" r="6" fill="${st.role === "origin" ? "#2e7d32" : "#d32f2f"}" stroke="#fff" stroke-width="2"/>`
+      + `<text x="${x + dx}" y="${y + 4}" text-anchor="${anchor}" font-size="12" font-weight="bold" fill="#222" stroke="#fff" stroke-width="3" paint-order="stroke">${escapeXml(st.stop_name)}</text>`;
+  }).join("");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(label)}">`
+    + `<polyline points="${points(line)}" fill="none" stroke="#90caf9" stroke-width="3" stroke-linejoin="round" stroke-linecap="round"/>`
+    + ride + dots + ends + `</svg>`;
+}
@@ -0,0 +1,54 @@
+// @ts-check
+// docs/lib/sim-clock.mjs
+// 模擬時計（開発・デモ用）。盤面を ?now=2025-08-12T08:05+09:00&speed=10 で開くと、その時刻から speed 倍で進む時計に差し替える。
+//   const sim = installSimulatedClock(location.search, { hostname: location.hostname });   // 指定が無ければ null（何もしない）
+//   fetch(withSimulatedTime("realtime_tripupdates.json"))  // → "realtime_tripupdates.json?at=1754953500"
+// Date そのものを差し替えるので、engine.mjs などの Date.now() / new Date() もすべてこの時計に従う。
+// リアルタイム情報の URL に付ける ?at=<epoch 秒> は scripts/dev-server.mjs がその時刻のスナップショットを返すのに使う
+// 差し替えるのは localhost で開いたときか、?dev=1 を付けたときだけ（公開版の盤面に ?now= 付きのリンクが
+// 出回っても、リアルタイム情報と食い違う時刻を出さないため）。
+// now にオフセットが無ければ JST とみなす。speed=0 なら時計を止める。
+
+/** @typedef {{ start:number, speed:number }} SimulatedClock  start: 開始時刻（epoch ミリ秒） */
+
+const DEV_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]", "::1"]);
+
+/** @type {SimulatedClock|null} */
+let active = null;
+
+/**
+ * @param {string} search  location.search
+ * @param {{ hostname?:string }} [opts]  hostname: location.hostname（localhost 以外では ?dev=1 が無ければ差し替えない）
+ * @returns {SimulatedClock|null}
+ */
+export function installSimulatedClock(search, { hostname = "" } = {}) {
+  if (active) return active;
+  const q = new URLSearchParams(search);
+  const raw = q.get("now");
+  if (!raw || !(DEV_HOSTS.has(hostname) || q.get("dev") === "1")) return null;
+  // クエリの "+09:00" は "+" が空白に化けるので戻す。オフセットが無ければ JST
+  const iso = raw.trim().replace(/ (\d\d:?\d\d)$/, "+$1");
+  const start = Date.parse(/(Z|[+-]\d\d:?\d\d)$/.test(iso) ? iso : `${iso}+09:00`);
+  const speed = Number(q.get("speed") ?? 1);
+  if (!Number.isFinite(start) || !Number.isFinite(speed) || speed < 0) return null;
+
+  const RealDate = Date;
+  const realStart = RealDate.now();
+  const nowMs = () => Math.floor(start + (RealDate.now() - realStart) * speed);
+  class SimulatedDate extends RealDate {
+    /** @param {any[]} args */
+    constructor(...args) {
+      super(...(/** @type {[any]} */ (args.length ? args : [nowMs()])));
+    }
+    static now() { return nowMs(); }
+  }
+  globalThis.Date = /** @type {DateConstructor} */ (/** @type {unknown} */ (SimulatedDate));
+  active = { start, speed };
+  return active;
+}
+
+/** 模擬時計が動いていれば URL に ?at=<epoch 秒> を付ける */
+export function withSimulatedTime(url) {
+  if (!active) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}at=${Math.floor(Date.now() / 1000)}`;
+}
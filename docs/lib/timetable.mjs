@@ -0,0 +1,93 @@
+// @ts-check
+// docs/lib/timetable.mjs
+// 駅の掲示のような時刻表（縦に時、横に分）を HTML / CSV にする。index.html の時刻表表示と
+// scripts/make-timetables.mjs（ビルド時の静的出力）で共用する。入力は feed.timetable() の結果。
+//   renderTimetableHtml(legs, { nextTripId, t })   // <table class="timetable"> と凡例（t: i18n.mjs の文言。既定は日本語）
+//   renderTimetableCsv([{ label: "平日", legs }])
+// 時は GTFS の表記のまま（24 時以降も 24, 25 …）。
+
+import { createTranslator } from "./i18n.mjs";
+
+/** @typedef {import("./engine.mjs").MergedLeg} MergedLeg */
+
+// 最も多い系統は無印、それ以外に付ける記号
+const VARIANT_MARKS = ["○", "△", "□", "◇", "▽", "☆", "◎", "※"];
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, ch => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[ch]);
+const pad2 = (n) => String(n).padStart(2, "0");
+const variantKey = (leg) => `${leg.route_label}\u0000${leg.headsign}`;
+/** GTFS の時刻表記（24 時を過ぎても繰り上げない） */
+export const gtfsHHMM = (secs) => `${pad2(Math.floor(secs / 3600))}:${pad2(Math.floor((secs % 3600) / 60))}`;
+
+/**
+ * 系統（路線名＋行先）ごとの記号。便数の多い順に無印・○・△…
+ * @param {MergedLeg[]} legs
+ * @returns {{ key:string, mark:string, route_label:string, headsign:string, count:number }[]}
+ */
+export function timetableVariants(legs) {
+  /** @type {Map<string, { key:string, mark:string, route_label:string, headsign:string, count:number }>} */
+  const byKey = new Map();
+  for (const leg of legs) {
+    const key = variantKey(leg);
+    const v = byKey.get(key) ?? { key, mark: "", route_label: leg.route_label, headsign: leg.headsign, count: 0 };
+    v.count++;
+    byKey.set(key, v);
+  }
+  const list = [...byKey.values()].sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  list.forEach((v, i) => { v.mark = i === 0 ? "" : VARIANT_MARKS[i - 1] ?? `${i}`; });
+  return list;
+}
+
+/**
+ * @param {MergedLeg[]} legs
+ * @param {{ nextTripId?:string, caption?:string, t?:import("./i18n.mjs").Translator }} [opts]  nextTripId: 次の発車として印を付ける便
+ * @returns {string}
+ */
+export function renderTimetableHtml(legs, { nextTripId, caption, t = createTranslator("ja") } = {}) {
+  if (!legs.length) return `<p class="tt-empty">${escapeHtml(t("timetableEmpty"))}</p>`;
+  const variants = timetableVariants(legs);
+  const markOf = new Map(variants.map(v => [v.key, v.mark]));
+  /** @type {Map<number, MergedLeg[]>} */
+  const byHour = new Map();
+  for (const leg of legs) {
+    const h = Math.floor(leg.sched_departure / 3600);
+    byHour.set(h, [...(byHour.get(h) ?? []), leg]);
+  }
+  const hours = [...byHour.keys()].sort((a, b) => a - b);
+  const rows = [];
+  for (let h = hours[0]; h <= hours[hours.length - 1]; h++) {
+    const cells = (byHour.get(h) ?? []).map(leg => {
+      const mark = markOf.get(variantKey(leg)) ?? "";
+      const arr = leg.sched_arrival != null ? t("timetableArrives", { time: gtfsHHMM(leg.sched_arrival) }) : "";
+      const title = `${t("departs", { time: gtfsHHMM(leg.sched_departure) })}${arr} ${leg.route_label} ${leg.headsign}`;
+      const next = leg.trip_id === nextTripId ? " tt-next" : "";
+      return `<span class="tt-min${next}" title="${escapeHtml(title)}">${mark ? `<small>${escapeHtml(mark)}</small>` : ""}${pad2(Math.floor((leg.sched_departure % 3600) / 60))}</span>`;
+    }).join("");
+    rows.push(`<tr><th>${h}</th><td>${cells}</td></tr>`);
+  }
+  const legend = variants.map(v =>
+    `<li>${escapeHtml(v.mark || t("timetableNoMark"))}：${escapeHtml(v.route_label)} ${escapeHtml(v.headsign)}${escapeHtml(t("timetableCount", { n: v.count }))}</li>`).join("");
+  return `
+    <table class="timetable">
+      ${caption ? `<caption>${escapeHtml(caption)}</caption>` : ""}
+      <thead><tr><th>${escapeHtml(t("timetableHour"))}</th><th>${escapeHtml(t("timetableMinute"))}</th></tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>
+    <ul class="tt-legend">${legend}</ul>`;
+}
+
+/**
+ * 1 行 1 便の CSV（BOM 付き、Excel でそのまま開ける）。
+ * @param {{ label:string, legs:MergedLeg[] }[]} sections
+ * @returns {string}
+ */
+export function renderTimetableCsv(sections) {
+  const q = (v) => /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const lines = [["pattern", "departure", "arrival", "route", "headsign", "trip_id"].join(",")];
+  for (const { label, legs } of sections) {
+    for (const leg of legs) {
+      lines.push([label, gtfsHHMM(leg.sched_departure), leg.sched_arrival != null ? gtfsHHMM(leg.sched_arrival) : "", leg.route_label, leg.headsign, leg.trip_id].map(q).join(","));
+    }
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
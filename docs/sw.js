@@ -0,0 +1,141 @@
+// docs/sw.js
+// オフラインでも時刻表を出すための Service Worker（index.html が登録する）。
+//   - 画面（index.html・lib/*.mjs・アイコン・manifest）: ネットワーク優先、つながらなければキャッシュ
+//   - 静的データ（stops.json・stop_times/・i18n/・delay_stats.json など）: feed_meta.json の feed_version ごとのキャッシュを優先。
+//     版が変わったら古いキャッシュは捨てる。feed_meta.json が無いデプロイではネットワーク優先
+//     delay_stats.json（遅れの実績）も同じキャッシュに置くが、版が同じでも毎日作り直されるので裏で取り直す
+//   - リアルタイム（realtime_*.json・api/）: 常にネットワーク。キャッシュはしない（古い遅延情報を出さない）
+// 出発リマインダーの通知（showNotification）もこの登録から出す。
+// SHELL_FILES を変えたら SHELL_CACHE の末尾の版を上げること。
+
+const SHELL_CACHE = "bus-board-shell-v4";
+const META_CACHE = "bus-board-meta";
+const STATIC_CACHE_PREFIX = "bus-board-static-";
+const FEED_META_URL = "feed_meta.json";
+const SHELL_FILES = [
+  "index.html",
+  "lib/engine.mjs",
+  "lib/csv.mjs",
+  "lib/timetable.mjs",
+  "lib/i18n.mjs",
+  "lib/sim-clock.mjs",
+  "lib/route-map.mjs",
+  "manifest.webmanifest",
+  "icon1.png",
+  "green.png",
+  "yellow.png",
+  "red.png",
+];
+const REALTIME_PATTERN = /\/realtime_[^/]*\.json$|\/api\//;   // api/departures は数分ごとに予測を入れて作り直す
+const REVALIDATE_PATTERN = /\/delay_stats\.json$/;   // feed_version に含まれない静的データ
+const STATIC_PATTERN = /\/(stops|routes|trips|agencies|stop_links|fares|calendar|calendar_dates|delay_stats)\.json$|\/(stop_times|timetables|i18n|shapes)\//;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([SHELL_CACHE, META_CACHE, staticCacheName(await storedFeedVersion())]);
+    for (const name of await caches.keys()) {
+      if (name.startsWith("bus-board-") && !keep.has(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (REALTIME_PATTERN.test(url.pathname)) return;   // ブラウザにそのまま任せる（オフラインなら失敗させる）
+  if (req.mode === "navigate") {
+    // 画面を開くたびに版を確かめ、以降の静的データの取得はその結果を待つ
+    versionCheck = refreshFeedVersion();
+    event.respondWith(networkFirst(req, SHELL_CACHE, "index.html"));   // ?from=…&to=… でも同じ画面
+    return;
+  }
+  if (url.pathname.endsWith("/" + FEED_META_URL)) {
+    event.respondWith(networkFirst(req, META_CACHE));
+    return;
+  }
+  if (STATIC_PATTERN.test(url.pathname)) {
+    event.respondWith(staticData(req, REVALIDATE_PATTERN.test(url.pathname) ? event : null));
+    return;
+  }
+  event.respondWith(networkFirst(req, SHELL_CACHE));
+});
+
+// 出発リマインダーの通知をタップしたら盤面を前に出す（無ければ開く）
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  event.waitUntil((async () => {
+    const [client] = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    if (client) return client.focus();
+    return self.clients.openWindow("index.html");
+  })());
+});
+
+/** @type {Promise<string|null>|null} */
+let versionCheck = null;
+
+function staticCacheName(version) {
+  return STATIC_CACHE_PREFIX + (version ?? "unversioned");
+}
+
+// 最後に確認できた feed_version（Service Worker は止められるので Cache Storage に置く）
+async function storedFeedVersion() {
+  const res = await (await caches.open(META_CACHE)).match("feed_version");
+  return res ? res.text() : null;
+}
+
+// feed_meta.json を取り直して版を更新する。つながらなければ前回の版のまま
+async function refreshFeedVersion() {
+  const previous = await storedFeedVersion();
+  try {
+    const res = await fetch(FEED_META_URL, { cache: "no-store" });
+    if (!res.ok) return previous;
+    const meta = await res.clone().json();
+    const metaCache = await caches.open(META_CACHE);
+    await metaCache.put(FEED_META_URL, res);
+    const version = typeof meta?.feed_version === "string" ? meta.feed_version : null;
+    if (version && version !== previous) {
+      await metaCache.put("feed_version", new Response(version));
+      if (previous) await caches.delete(staticCacheName(previous));
+    }
+    return version ?? previous;
+  } catch {
+    return previous;
+  }
+}
+
+// revalidateEvent があれば、キャッシュを返したあとで取り直して次回に備える
+async function staticData(req, revalidateEvent = null) {
+  const version = await (versionCheck ?? storedFeedVersion());
+  if (!version) return networkFirst(req, staticCacheName(null));
+  const cache = await caches.open(staticCacheName(version));
+  const hit = await cache.match(req, { ignoreSearch: true });
+  const refresh = async () => {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(req, res.clone());
+    return res;
+  };
+  if (!hit) return refresh();
+  revalidateEvent?.waitUntil(refresh().catch(() => {}));
+  return hit;
+}
+
+async function networkFirst(req, cacheName, cacheKey = req) {
+  const cache = await caches.open(cacheName);
+  try {
+    const res = await fetch(req);
+    if (res.ok) await cache.put(cacheKey, res.clone());
+    return res;
+  } catch (err) {
+    const hit = await cache.match(cacheKey);
+    if (hit) return hit;
+    throw err;
+  }
+}
@@ -0,0 +1,150 @@
+// scripts/aggregate-delays.mjs
+// 遅延の履歴（fetch-gtfsrt.mjs --archive の NDJSON）を区間ごとに集計し、docs/delay_stats.json に書き出す。
+// 盤面は「通常 +4分 (p90 +9分)」の表示と、リアルタイム情報の無い便の発車予測にこれを使う。
+// 使い方:
+//   node scripts/aggregate-delays.mjs [--pairs 260_1:434_5] [--archive archive/realtime] [--days 28] [--today 20250812]
+//   # --pairs が無ければ環境変数 TIMETABLE_PAIRS（make-timetables.mjs と同じ区間）
+// 1 便・1 日の遅れは、乗車停留所について発車前に最後に届いた予測（無ければ最後の予測）で数える。
+// 乗車停留所は stop_sequence（予測にあれば）か stop_id で見分ける。親停留所（"260"）を指定した区間は、
+// 盤面と同じ区間の索引（pairIndex）の別名で配下ののりば・他事業者の同じ停留所もまとめる。
+// 集計期間は --today の前日までの --days 日。時刻表は make-static-json.mjs の出力（DOCS_DIR）を使う。
+//
+// 出力（schema_version 1。遅れは秒、負なら早発）:
+//   { schema_version, generated_at, window: { start_date, end_date }, on_time_sec,
+//     pairs: { "<from>|<to>": { trips: { <trip_id>: Stats }, hours: { <GTFS の時>: Stats } } } }
+//   Stats = { n, median, p90, on_time }   // on_time: 遅れが on_time_sec 未満だった割合
+import fs from "node:fs";
+import path from "node:path";
+import { loadFeed, fileFetcher, todayYmdJst, ymdAddDays, serviceSecsToDate, rowSecs } from "../docs/lib/engine.mjs";
+import { readArchiveDay } from "./lib/rt-archive.mjs";
+
+// ---------- 設定 ----------
+const DOCS_DIR = process.env.DOCS_DIR || "docs";
+const OUT_FILE = path.join(DOCS_DIR, "delay_stats.json");
+const DEFAULT_PAIRS = "260_1:434_5";   // index.html の既定の区間
+const ON_TIME_SEC = 60;                // 1 分未満の遅れは定刻扱い
+const MATCH_WINDOW_SEC = 3 * 3600;     // start_date の無い予測は、時刻表からこの範囲内のものだけ同じ便とみなす
+
+// ---------- 引数 ----------
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const pairs = String(args.get("pairs") || process.env.TIMETABLE_PAIRS || DEFAULT_PAIRS)
+  .split(",").map(s => s.trim()).filter(Boolean)
+  .map(s => {
+    const [from, to] = s.split(":");
+    if (!from || !to) throw new Error(`区間の指定が不正です: ${s}（乗車:降車 の形で指定してください）`);
+    return { from, to };
+  });
+const archiveDir = String(args.get("archive") || "archive/realtime");
+const days = Number(args.get("days") || 28);
+const today = String(args.get("today") || todayYmdJst());
+if (!Number.isInteger(days) || days < 1) throw new Error(`--days は 1 以上の整数で指定してください: ${args.get("days")}`);
+
+/**
+ * @param {number[]} delays
+ * @returns {{ n:number, median:number, p90:number, on_time:number }}
+ */
+function summarizeDelays(delays) {
+  const sorted = [...delays].sort((a, b) => a - b);
+  const rank = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  return {
+    n: sorted.length,
+    median: rank(0.5),
+    p90: rank(0.9),
+    on_time: Math.round(sorted.filter(d => d < ON_TIME_SEC).length / sorted.length * 100) / 100,
+  };
+}
+
+// 運行日 ymd の予測（当日と、深夜便のために翌日のファイル）を trip_id → 予測[] にまとめる
+async function recordsForServiceDay(ymd, tripIds) {
+  /** @type {Map<string, import("./lib/rt-archive.mjs").ArchiveRecord[]>} */
+  const byTrip = new Map();
+  for (const day of [ymd, ymdAddDays(ymd, 1)]) {
+    for await (const r of readArchiveDay(path.join(archiveDir, `${day}.ndjson`))) {
+      if (!tripIds.has(r.trip_id) || (r.start_date && r.start_date !== ymd)) continue;
+      byTrip.set(r.trip_id, [...(byTrip.get(r.trip_id) ?? []), r]);
+    }
+  }
+  return byTrip;
+}
+
+// 運行日 ymd の区間の索引から、乗車停留所の stop_id（別名を含む）と便ごとの乗車停留所の stop_sequence を引く
+async function originOf(feed, { from, to }, ymd, legs) {
+  const { idx, alias } = await feed.pairIndex({ from, to, now: serviceSecsToDate(12 * 3600, ymd).getTime() });
+  /** @type {Map<string, number>} */
+  const seqByTrip = new Map();
+  for (const leg of legs) {
+    const row = (idx.stopTimesByTrip.get(leg.trip_id) ?? [])
+      .find(r => r.stop_id === leg.origin_stop_id && rowSecs(r, "departure") === leg.sched_departure);
+    if (row) seqByTrip.set(leg.trip_id, row.stop_sequence);
+  }
+  return { stopIds: new Set([from, ...(alias[from] ?? [])]), seqByTrip };
+}
+
+// 予測が乗車停留所のものか。stop_sequence が分かればそれで（同じ停留所を 2 度通る便もあるので）、無ければ stop_id で見る
+function atOriginStop(r, stopIds, seq) {
+  if (r.seq != null && seq != null) return r.seq === seq;
+  if (r.stop_id != null) return stopIds.has(r.stop_id);
+  return r.seq == null && Boolean(r.skipped);   // 便ごとの運休
+}
+
+// 乗車停留所での実績の遅れ（秒）。予測が無い・通過・運休なら undefined
+function observedDelay(records, leg, ymd, { stopIds, seqByTrip }) {
+  const schedEpoch = serviceSecsToDate(leg.sched_departure, ymd).getTime() / 1000;
+  const atOrigin = records
+    .filter(r => atOriginStop(r, stopIds, seqByTrip.get(leg.trip_id)))
+    .filter(r => r.start_date || Math.abs((r.time ?? schedEpoch) - schedEpoch) <= MATCH_WINDOW_SEC)
+    .sort((a, b) => a.ts - b.ts);
+  if (!atOrigin.length) return undefined;
+  const beforeDeparture = atOrigin.filter(r => r.time == null || r.ts <= r.time);
+  const last = (beforeDeparture.length ? beforeDeparture : atOrigin).at(-1);
+  if (!last || last.skipped) return undefined;
+  return last.time != null ? last.time - schedEpoch : last.delay;
+}
+
+// ---------- メイン ----------
+(async () => {
+  if (!fs.existsSync(archiveDir)) throw new Error(`遅延の履歴が見つかりません: ${archiveDir}（fetch-gtfsrt.mjs --archive で作成されます）`);
+  const feed = await loadFeed(fileFetcher(DOCS_DIR));
+  const window = { start_date: ymdAddDays(today, -days), end_date: ymdAddDays(today, -1) };
+
+  const out = { schema_version: 1, generated_at: new Date().toISOString(), window, on_time_sec: ON_TIME_SEC, pairs: {} };
+  for (const { from, to } of pairs) {
+    /** @type {Map<string, number[]>} */ const byTrip = new Map();
+    /** @type {Map<number, number[]>} */ const byHour = new Map();
+    let tripsWithRecords = 0;
+    for (let ymd = window.start_date; ymd <= window.end_date; ymd = ymdAddDays(ymd, 1)) {
+      const legs = await feed.timetable({ from, to, ymd });
+      const records = await recordsForServiceDay(ymd, new Set(legs.map(l => l.trip_id)));
+      if (!records.size) continue;
+      tripsWithRecords += records.size;
+      const origin = await originOf(feed, { from, to }, ymd, legs);
+      for (const leg of legs) {
+        const delay = observedDelay(records.get(leg.trip_id) ?? [], leg, ymd, origin);
+        if (delay === undefined) continue;
+        const hour = Math.floor(leg.sched_departure / 3600);
+        byTrip.set(leg.trip_id, [...(byTrip.get(leg.trip_id) ?? []), delay]);
+        byHour.set(hour, [...(byHour.get(hour) ?? []), delay]);
+      }
+    }
+    const trips = Object.fromEntries([...byTrip].sort(([a], [b]) => a.localeCompare(b)).map(([id, d]) => [id, summarizeDelays(d)]));
+    const hours = Object.fromEntries([...byHour].sort(([a], [b]) => a - b).map(([h, d]) => [String(h), summarizeDelays(d)]));
+    out.pairs[`${from}|${to}`] = { trips, hours };
+    const samples = [...byTrip.values()].reduce((n, d) => n + d.length, 0);
+    console.log(`[aggregate-delays] ${from} -> ${to}: ${byTrip.size} trips, ${samples} samples (${window.start_date}-${window.end_date})`);
+    if (tripsWithRecords && !samples) {
+      console.warn(`[aggregate-delays] ${from} -> ${to}: 履歴のある便 ${tripsWithRecords} 件のどれにも乗車停留所の予測が見つかりません（停留所 ID・stop_sequence を確認してください）`);
+    }
+  }
+  fs.writeFileSync(OUT_FILE, JSON.stringify(out));
+  console.log(`[aggregate-delays] wrote ${OUT_FILE}`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
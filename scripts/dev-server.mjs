@@ -0,0 +1,329 @@
+// scripts/dev-server.mjs
+// 開発用のローカルサーバー。docs/ をそのまま配信し、realtime_*.json だけをその場で組み立てて返す。
+// 実際のバスを待たずに、深夜の運行日の切り替わりや遅れ・運休の表示を手元で再現するためのもの。
+// 使い方:
+//   node scripts/dev-server.mjs [--port 8080] [--docs docs] [--replay rt-snapshots]
+//     [--now 2025-08-12T08:05+09:00] [--speed 10]
+//     [--delay 1234_5=7,1240_1=3] [--cancel 1250_2] [--stale 30] [--scenario scenario.json]
+//   → http://localhost:8080/?now=2025-08-12T08:05%2B09:00&speed=10
+//     盤面の模擬時計（docs/lib/sim-clock.mjs）は realtime_*.json に ?at=<epoch 秒> を付けて取りに来るので、
+//     その時点のスナップショットを返す。?at が無いリクエストはサーバーの時計（--now / --speed。無ければ現在時刻）の時点
+// --replay のディレクトリに置けるもの（フィード時刻の順に並べて再生する）:
+//   *.json: 公開用 JSON（fetch-gtfsrt.mjs の出力。header.timestamp、無ければ fetched_at の時点）
+//   *.pb: GTFS-RT の protobuf。fetch-gtfsrt.mjs と同じ convertFeedBuffer で変換する（TripUpdates・車両位置・運行情報が混在してよい）
+//   *.ndjson: 遅延の履歴（scripts/lib/rt-archive.mjs の形式）。指定時刻までの最後の予測から TripUpdates を組み立て直す
+//   --replay が無ければ空のフィードにシナリオだけを載せる。
+// シナリオ（TripUpdates に上乗せする）:
+//   --delay <trip_id>=<分>: その便を始発から指定の分だけ遅らせる
+//   --cancel <trip_id>: その便を運休にする
+//   --stale <分>: フィード時刻（header.timestamp・fetched_at）をその分だけ古くする（3 種類とも）
+//   --scenario: { "delays": [{ "trip_id": "...", "minutes": 7 }], "canceled": ["..."], "stale_minutes": 30 }（引数と合わせて使える）
+// 今の時計・再生中のスナップショット・シナリオは /__dev/status で確かめられる。
+import http from "node:http";
+import fs from "node:fs";
+import path from "node:path";
+import { convertFeedBuffer, validateRealtimeJson, RT_SCHEMA_VERSION } from "./lib/gtfsrt-json.mjs";
+import { readArchiveDay } from "./lib/rt-archive.mjs";
+import { installSimulatedClock } from "../docs/lib/sim-clock.mjs";
+
+// ---------- 設定 ----------
+const ARCHIVE_KEEP_PAST_SEC = 10 * 60;      // 履歴の再生：予測時刻をこれ以上過ぎた停留所は落とす
+const ARCHIVE_KEEP_DELAY_SEC = 2 * 3600;    // 履歴の再生：時刻の無い（遅れだけの）予測はこの間だけ有効
+const REALTIME_FILES = {
+  "realtime_tripupdates.json": "trip_update",
+  "realtime_vehicles.json": "vehicle",
+  "realtime_alerts.json": "alert",
+};
+const ENTITY_KINDS = ["trip_update", "vehicle", "alert"];
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".txt": "text/plain; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon",
+  ".webmanifest": "application/manifest+json",
+};
+
+// ---------- 引数 ----------
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const port = Number(args.get("port") || process.env.PORT || 8080);
+const docsDir = path.resolve(String(args.get("docs") || "docs"));
+const replayDir = args.has("replay") ? path.resolve(String(args.get("replay"))) : "";
+if (!Number.isInteger(port) || port <= 0) throw new Error(`--port が不正です: ${args.get("port")}`);
+if (!fs.existsSync(path.join(docsDir, "index.html"))) throw new Error(`配信するディレクトリに index.html がありません: ${docsDir}`);
+
+// サーバーの時計も盤面と同じ模擬時計（Date を差し替える）
+const clock = args.has("now")
+  ? installSimulatedClock(`?${new URLSearchParams({ now: String(args.get("now")), speed: String(args.get("speed") ?? 1), dev: "1" })}`)
+  : null;
+if (args.has("now") && !clock) throw new Error(`--now / --speed が読めません: ${args.get("now")} ×${args.get("speed")}`);
+
+// ---------- シナリオ ----------
+/**
+ * @typedef {Object} Scenario
+ * @property {{ trip_id:string, minutes:number }[]} delays
+ * @property {string[]} canceled
+ * @property {number} stale_minutes
+ */
+
+/** @returns {Scenario} */
+function readScenario() {
+  /** @type {Scenario} */
+  const s = { delays: [], canceled: [], stale_minutes: 0 };
+  if (args.has("scenario")) {
+    const file = String(args.get("scenario"));
+    let doc;
+    try {
+      doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`シナリオが読めません: ${file} (${err.message})`);
+    }
+    s.delays.push(...(doc.delays ?? []).map(d => ({ trip_id: String(d.trip_id), minutes: Number(d.minutes) })));
+    s.canceled.push(...(doc.canceled ?? []).map(String));
+    s.stale_minutes = Number(doc.stale_minutes ?? 0);
+  }
+  for (const spec of String(args.get("delay") || "").split(",").filter(Boolean)) {
+    const m = spec.match(/^(.+)=(-?\d+(?:\.\d+)?)$/);
+    if (!m) throw new Error(`--delay は <trip_id>=<分> の形で指定してください: ${spec}`);
+    s.delays.push({ trip_id: m[1], minutes: Number(m[2]) });
+  }
+  s.canceled.push(...String(args.get("cancel") || "").split(",").filter(Boolean));
+  if (args.has("stale")) s.stale_minutes = Number(args.get("stale"));
+  for (const d of s.delays) {
+    if (!d.trip_id || !Number.isFinite(d.minutes)) throw new Error(`遅れの指定が不正です: ${JSON.stringify(d)}`);
+  }
+  if (!Number.isFinite(s.stale_minutes) || s.stale_minutes < 0) throw new Error(`stale_minutes は 0 以上にしてください: ${s.stale_minutes}`);
+  return s;
+}
+const scenario = readScenario();
+
+// ---------- 再生するスナップショット ----------
+/** @typedef {{ ts:number, file:string, doc:any }} Snapshot */
+
+const tsOf = (doc) => Number(doc?.header?.timestamp) || Math.floor(Date.parse(doc?.fetched_at ?? "") / 1000);
+
+/** @returns {Promise<{ snapshots: Snapshot[], archive: import("./lib/rt-archive.mjs").ArchiveRecord[] }>} */
+async function readReplayDir(dir) {
+  /** @type {Snapshot[]} */
+  const snapshots = [];
+  const archive = [];
+  if (!dir) return { snapshots, archive };
+  for (const name of fs.readdirSync(dir).sort()) {
+    const file = path.join(dir, name);
+    if (name.endsWith(".ndjson")) {
+      for await (const r of readArchiveDay(file)) archive.push(r);
+      continue;
+    }
+    let doc;
+    try {
+      if (name.endsWith(".pb")) {
+        doc = convertFeedBuffer(fs.readFileSync(file), { kinds: ENTITY_KINDS });
+        if (doc.header.timestamp) doc.fetched_at = new Date(doc.header.timestamp * 1000).toISOString();
+      } else if (name.endsWith(".json")) {
+        doc = JSON.parse(fs.readFileSync(file, "utf8"));
+      } else continue;
+    } catch (err) {
+      console.warn(`[dev-server] 読めないファイルを飛ばします: ${name} (${err.message})`);
+      continue;
+    }
+    const ts = tsOf(doc);
+    if (!Number.isFinite(ts)) {
+      console.warn(`[dev-server] フィード時刻の無いファイルを飛ばします: ${name}`);
+      continue;
+    }
+    snapshots.push({ ts, file: name, doc });
+  }
+  snapshots.sort((a, b) => a.ts - b.ts);
+  archive.sort((a, b) => a.ts - b.ts);
+  return { snapshots, archive };
+}
+
+const replay = await readReplayDir(replayDir);
+
+const emptyDoc = (ts) => ({
+  schema_version: RT_SCHEMA_VERSION,
+  fetched_at: new Date(ts * 1000).toISOString(),
+  header: { gtfs_realtime_version: "2.0", incrementality: "FULL_DATASET", timestamp: ts },
+  counts: {},
+  entity: [],
+});
+
+// その種類のエンティティを含む、at 以前で最後のスナップショット
+function snapshotAt(kind, at) {
+  let hit;
+  for (const s of replay.snapshots) {
+    if (s.ts > at) break;
+    if ((s.doc.entity ?? []).some(e => e[kind])) hit = s;
+  }
+  return hit;
+}
+
+// 履歴（変わった予測だけの追記）から at 時点の TripUpdates を組み立て直す
+function archiveDocAt(at) {
+  /** @type {Map<string, import("./lib/rt-archive.mjs").ArchiveRecord>} */
+  const last = new Map();
+  let ts = -Infinity;
+  for (const r of replay.archive) {
+    if (r.ts > at) break;
+    last.set(`${r.trip_id}|${r.start_date ?? ""}|${r.seq ?? ""}|${r.stop_id ?? ""}`, r);
+    ts = r.ts;
+  }
+  if (!Number.isFinite(ts)) return undefined;
+  /** @type {Map<string, any>} */
+  const trips = new Map();
+  for (const r of last.values()) {
+    if (r.time != null ? r.time < at - ARCHIVE_KEEP_PAST_SEC : at - r.ts > ARCHIVE_KEEP_DELAY_SEC) continue;
+    const key = `${r.trip_id}|${r.start_date ?? ""}`;
+    if (!trips.has(key)) {
+      trips.set(key, { trip: { trip_id: r.trip_id, ...(r.start_date ? { start_date: r.start_date } : {}) }, stop_time_update: [] });
+    }
+    const tu = trips.get(key);
+    if (r.seq == null && r.stop_id == null) {
+      if (r.skipped) tu.trip.schedule_relationship = "CANCELED";
+      continue;
+    }
+    const event = { ...(r.time != null ? { time: r.time } : {}), ...(r.delay != null ? { delay: r.delay } : {}) };
+    tu.stop_time_update.push({
+      ...(r.seq != null ? { stop_sequence: r.seq } : {}),
+      ...(r.stop_id != null ? { stop_id: r.stop_id } : {}),
+      ...(r.skipped ? { schedule_relationship: "SKIPPED" } : { arrival: event, departure: event }),
+    });
+  }
+  const doc = emptyDoc(ts);
+  doc.entity = [...trips.values()].map((tu, i) => {
+    tu.stop_time_update.sort((a, b) => (a.stop_sequence ?? 0) - (b.stop_sequence ?? 0));
+    return { id: `archive-${i + 1}`, trip_update: tu };
+  });
+  return doc;
+}
+
+// ---------- 応答の組み立て ----------
+function countsOf(entity) {
+  const counts = { entity: entity.length };
+  for (const k of ENTITY_KINDS) counts[k] = entity.filter(e => e[k]).length;
+  return counts;
+}
+
+// 指定の種類だけを残す（.pb・旧形式では 1 つの FeedMessage に混在している）
+function pickKind(doc, kind) {
+  const entity = (doc.entity ?? []).filter(e => e[kind]).map(e => ({ id: e.id, [kind]: e[kind] }));
+  return { ...doc, counts: countsOf(entity), entity };
+}
+
+function applyScenario(doc, kind) {
+  const out = structuredClone(doc);
+  if (kind === "trip_update") {
+    const entityOf = (tripId) => {
+      let e = out.entity.find(x => x.trip_update?.trip?.trip_id === tripId);
+      if (!e) out.entity.push(e = { id: `dev-${tripId}`, trip_update: { trip: { trip_id: tripId } } });
+      return e;
+    };
+    for (const d of scenario.delays) {
+      const e = entityOf(d.trip_id);
+      const delay = Math.round(d.minutes * 60);
+      // 始発（stop_sequence 0 はどの便でも最初の停留所より手前）の遅れは以降の全停留所に伝わる
+      e.trip_update = {
+        trip: { ...e.trip_update.trip, schedule_relationship: "SCHEDULED" },
+        stop_time_update: [{ stop_sequence: 0, arrival: { delay }, departure: { delay } }],
+      };
+    }
+    for (const tripId of scenario.canceled) {
+      const e = entityOf(tripId);
+      e.trip_update = { trip: { ...e.trip_update.trip, schedule_relationship: "CANCELED" }, stop_time_update: [] };
+    }
+  }
+  if (scenario.stale_minutes) {
+    const shift = Math.round(scenario.stale_minutes * 60);
+    if (out.header?.timestamp) out.header.timestamp -= shift;
+    if (out.fetched_at) out.fetched_at = new Date(Date.parse(out.fetched_at) - shift * 1000).toISOString();
+  }
+  out.counts = countsOf(out.entity);
+  return out;
+}
+
+/** at（epoch 秒）時点の realtime_*.json。返すものが無ければ undefined */
+function realtimeAt(kind, at) {
+  let doc;
+  if (kind === "trip_update") {
+    const snap = snapshotAt(kind, at), fromArchive = archiveDocAt(at);
+    doc = snap && (!fromArchive || snap.ts >= tsOf(fromArchive)) ? pickKind(snap.doc, kind) : fromArchive;
+    // 再生するものが無い（--replay 無し・最初のスナップショットより前）ときは空のフィードにシナリオだけを載せる
+    if (!doc && (!replayDir || scenario.delays.length || scenario.canceled.length)) doc = emptyDoc(at);
+  } else {
+    const snap = snapshotAt(kind, at);
+    doc = snap ? pickKind(snap.doc, kind) : undefined;
+  }
+  if (!doc) return undefined;
+  const out = applyScenario(doc, kind);
+  const problems = validateRealtimeJson(out);
+  if (problems.length) console.warn(`[dev-server] 検査に通らない ${kind} を返します:\n  ${problems.join("\n  ")}`);
+  return out;
+}
+
+function status() {
+  const now = Math.floor(Date.now() / 1000);
+  return {
+    now: new Date(now * 1000).toISOString(),
+    clock: clock ? { start: new Date(clock.start).toISOString(), speed: clock.speed } : null,
+    docs: docsDir,
+    replay: replayDir ? {
+      dir: replayDir,
+      snapshots: replay.snapshots.map(s => ({ file: s.file, at: new Date(s.ts * 1000).toISOString(), counts: countsOf(s.doc.entity ?? []) })),
+      archive_records: replay.archive.length,
+      archive_range: replay.archive.length
+        ? [replay.archive[0].ts, replay.archive[replay.archive.length - 1].ts].map(t => new Date(t * 1000).toISOString())
+        : null,
+    } : null,
+    scenario,
+  };
+}
+
+// ---------- サーバー ----------
+function send(res, code, body, type = "text/plain; charset=utf-8") {
+  res.writeHead(code, { "Content-Type": type, "Cache-Control": "no-store" });
+  res.end(body);
+}
+
+function serveStatic(res, pathname) {
+  let file = path.join(docsDir, decodeURIComponent(pathname));
+  if (file !== docsDir && !file.startsWith(docsDir + path.sep)) return send(res, 403, "Forbidden");
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, "index.html");
+  if (!fs.existsSync(file)) return send(res, 404, "Not Found");
+  send(res, 200, fs.readFileSync(file), CONTENT_TYPES[path.extname(file)] ?? "application/octet-stream");
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url ?? "/", "http://localhost");
+  const name = path.posix.basename(url.pathname);
+  try {
+    if (url.pathname === "/__dev/status") return send(res, 200, JSON.stringify(status(), null, 2), CONTENT_TYPES[".json"]);
+    if (REALTIME_FILES[name]) {
+      const at = url.searchParams.has("at") ? Number(url.searchParams.get("at")) : Math.floor(Date.now() / 1000);
+      if (!Number.isFinite(at)) return send(res, 400, `at が不正です: ${url.searchParams.get("at")}`);
+      const doc = realtimeAt(REALTIME_FILES[name], at);
+      return doc ? send(res, 200, JSON.stringify(doc), CONTENT_TYPES[".json"]) : send(res, 404, "Not Found");
+    }
+    serveStatic(res, url.pathname);
+  } catch (err) {
+    console.error(err);
+    send(res, 500, String(err instanceof Error ? err.message : err));
+  }
+});
+
+server.listen(port, () => {
+  const query = clock ? `?${new URLSearchParams({ now: String(args.get("now")), speed: String(clock.speed) })}` : "";
+  console.log(`[dev-server] http://localhost:${port}/${query}`);
+  if (replayDir) console.log(`[dev-server] replay: ${replay.snapshots.length} snapshots, ${replay.archive.length} archive records from ${replayDir}`);
+  if (scenario.delays.length || scenario.canceled.length || scenario.stale_minutes) console.log(`[dev-server] scenario: ${JSON.stringify(scenario)}`);
+});
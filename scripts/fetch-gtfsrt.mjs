@@ -1,62 +1,239 @@
 // scripts/fetch-gtfsrt.mjs
+// 使い方:
+//   GTFSRT_URL=... node scripts/fetch-gtfsrt.mjs [--out docs/realtime_tripupdates.json]
+//   node scripts/fetch-gtfsrt.mjs --input .cache/rt.raw [--out ...] [--keep-if-unchanged]
+//     --input: 取得済みの protobuf を変換だけする（ワークフローの条件付き GET 用）
+//     --keep-if-unchanged: fetched_at 以外が既存ファイルと同じなら書き換えない
+//   車両位置（VehiclePositions）・運行情報（Alerts）:
+//     --vehicles-out docs/realtime_vehicles.json / --alerts-out docs/realtime_alerts.json（既定）
+//     GTFSRT_VEHICLES_URL / --vehicles-input（GTFSRT_ALERTS_URL / --alerts-input）があればそちらから、
+//     無ければ TripUpdates と同じ FeedMessage に含まれるエンティティを書き出す
+//     （1 件も無く、既存ファイルも無ければ書かない。既存ファイルは空の entity で上書きして古い情報を残さない）。
+//   遅延の履歴: --archive archive/realtime で TripUpdates を日ごとの NDJSON に追記する
+//     （前回から変わった予測だけ。形式は scripts/lib/rt-archive.mjs、集計は scripts/aggregate-delays.mjs）
+//     --archive-keep-days 28 でそれより前の日のファイルを消す（集計の --days と揃える。省略時は消さない）
+//   複数事業者: --feeds gtfs-feeds.json（または環境変数 GTFS_FEEDS。形式は scripts/lib/gtfs-feeds.mjs）
+//     rt_url_env のある事業者ごとに取得し、ID に prefix を付けて 1 つの JSON にまとめる。
+//     --input・GTFSRT_VEHICLES_URL・GTFSRT_ALERTS_URL は設定の先頭の事業者のもの。
+//     取得に失敗した事業者は警告を出して飛ばす（全滅なら失敗）
+//   取得状況: --status docs/realtime_status.json に header.timestamp と最後の成功・失敗を記録する（形式は scripts/lib/rt-status.mjs）
+//     ワークフローの条件付き GET の結果は --http-status 304 --etag-sent <If-None-Match> --etag <受け取った ETag> で渡す
+//     （単一事業者で 304 なら変換せずに記録だけ、200 以外なら失敗として記録）。
+//     --status があるとき、取得（HTTP・ネットワーク）の失敗は記録して正常終了する。1 回の失敗では通知しない
+//   通知: node scripts/fetch-gtfsrt.mjs --check-status docs/realtime_status.json [--max-failures 3] [--max-age-min 60]
+//     連続失敗が --max-failures 回以上（事業者ごとも）、または header.timestamp が --max-age-min 分より古ければ失敗で終わる
+// 出力スキーマは scripts/lib/gtfsrt-json.mjs を参照。検査に通らない場合は書き出さずに失敗する。
 import fetch from "node-fetch";
-import GtfsRealtimeBindings from "gtfs-realtime-bindings";
 import fs from "fs/promises";
+import path from "path";
+import { convertFeedBuffer, validateRealtimeJson, sameFeedContent, prefixRealtimeIds, mergeRealtimeJson } from "./lib/gtfsrt-json.mjs";
+import { appendSnapshot, pruneArchive } from "./lib/rt-archive.mjs";
+import { readFeedsConfig } from "./lib/gtfs-feeds.mjs";
+import { recordRtSuccess, recordRtFailure, rtStatusProblems } from "./lib/rt-status.mjs";
+
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const inputFile = args.get("input") || "";
+const outFile = args.get("out") || "docs/realtime_tripupdates.json";
+// TripUpdates 以外の出力。専用フィードが無ければ TripUpdates 側の FeedMessage から取り出す
+const EXTRA_OUTPUTS = [
+  {
+    kind: "vehicle",
+    input: args.get("vehicles-input") || "",
+    url: process.env.GTFSRT_VEHICLES_URL || "",
+    out: args.get("vehicles-out") || "docs/realtime_vehicles.json",
+  },
+  {
+    kind: "alert",
+    input: args.get("alerts-input") || "",
+    url: process.env.GTFSRT_ALERTS_URL || "",
+    out: args.get("alerts-out") || "docs/realtime_alerts.json",
+  },
+];
+const keepIfUnchanged = Boolean(args.get("keep-if-unchanged"));
+const archiveDir = args.get("archive") || "";
+const archiveKeepDays = args.has("archive-keep-days") ? Number(args.get("archive-keep-days")) : undefined;
+const feedsFile = args.get("feeds") || process.env.GTFS_FEEDS || "";
+const statusFile = args.get("status") || "";
+const httpStatus = args.has("http-status") ? Number(args.get("http-status")) || null : null;   // curl の "000" は null
+const etag = typeof args.get("etag") === "string" ? String(args.get("etag")) : "";
+const etagSent = typeof args.get("etag-sent") === "string" ? String(args.get("etag-sent")) : "";
+const checkStatusFile = args.get("check-status") || "";
+const maxFailures = Number(args.get("max-failures") ?? 3);
+const maxAgeMin = args.has("max-age-min") ? Number(args.get("max-age-min")) : undefined;
+if (!Number.isInteger(maxFailures) || maxFailures < 1) throw new Error(`--max-failures は 1 以上の整数で指定してください: ${args.get("max-failures")}`);
+if (maxAgeMin !== undefined && !(maxAgeMin > 0)) throw new Error(`--max-age-min は正の数で指定してください: ${args.get("max-age-min")}`);
+if (archiveKeepDays !== undefined && !(Number.isInteger(archiveKeepDays) && archiveKeepDays >= 1)) {
+  throw new Error(`--archive-keep-days は 1 以上の整数で指定してください: ${args.get("archive-keep-days")}`);
+}
+
+// 取得（HTTP・ネットワーク）の失敗。--status があれば記録して正常終了する
+class FetchError extends Error {
+  /** @param {string} message @param {number|null} [status] */
+  constructor(message, status = null) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function fetchFeed(url) {
+  let res;
+  try {
+    res = await fetch(url, { timeout: 30000 });
+  } catch (err) {
+    throw new FetchError(`Fetch failed: ${err.message}`);
+  }
+  if (!res.ok) {
+    throw new FetchError(`Fetch failed: ${res.status} ${res.statusText}`, res.status);
+  }
+  return Buffer.from(await res.arrayBuffer());
+}
+
+async function readFeedBuffer() {
+  if (inputFile) return fs.readFile(inputFile);
 
-async function main() {
   const url = process.env.GTFSRT_URL;
   if (!url) {
     throw new Error("GTFSRT_URL env is required (set it via GitHub Secrets).");
   }
+  return fetchFeed(url);
+}
 
-  const res = await fetch(url, { timeout: 30000 });
-  if (!res.ok) {
-    throw new Error(`Fetch failed: ${res.status} ${res.statusText}`);
+// 事業者ごとの FeedMessage。primary: 設定の先頭の事業者（--input と専用フィードの持ち主）
+// results には複数事業者のときの事業者ごとの取得結果を積む（取得状況ファイル用）
+async function readFeedSources(results) {
+  if (!feedsFile) return [{ prefix: "", buf: await readFeedBuffer(), primary: true }];
+  const sources = [];
+  for (const [i, feed] of readFeedsConfig(feedsFile).entries()) {
+    const input = i === 0 ? inputFile : "";
+    if (!input && !feed.rtUrl) continue;
+    try {
+      sources.push({ prefix: feed.prefix, buf: input ? await fs.readFile(input) : await fetchFeed(feed.rtUrl), primary: i === 0 });
+      results.push({ prefix: feed.prefix, ok: true, http_status: input ? httpStatus : 200 });
+    } catch (err) {
+      console.warn(`GTFS-RT の取得に失敗したので飛ばします (${feed.prefix || "prefix なし"}): ${err.message}`);
+      results.push({ prefix: feed.prefix, ok: false, http_status: err.status ?? null, error: err.message });
+    }
+  }
+  if (!sources.length) throw new FetchError("GTFS-RT を 1 事業者分も取得できませんでした（rt_url_env の環境変数を確認してください）");
+  return sources;
+}
+
+// 専用フィードが無ければ null（TripUpdates 側の FeedMessage を使う）
+async function readExtraBuffer({ input, url }) {
+  if (input) return fs.readFile(input);
+  if (url) return fetchFeed(url);
+  return null;
+}
+
+async function readJsonIfExists(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, "utf8"));
+  } catch {
+    return undefined;
   }
+}
 
-  const buf = Buffer.from(await res.arrayBuffer());
-  const feed = GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(buf);
-
-  // index2.html が想定している形に合わせて整形
-  const out = {
-    generated_at: new Date().toISOString(),
-    entity: (feed.entity || [])
-      .filter(e => e.tripUpdate)
-      .map(e => ({
-        id: e.id,
-        tripUpdate: {
-          trip: {
-            tripId: e.tripUpdate?.trip?.tripId,
-            routeId: e.tripUpdate?.trip?.routeId,
-            directionId: e.tripUpdate?.trip?.directionId,
-            startDate: e.tripUpdate?.trip?.startDate,
-          },
-          stopTimeUpdate: (e.tripUpdate?.stopTimeUpdate || []).map(u => ({
-            stopId: u.stopId,
-            stopSequence: u.stopSequence,
-            arrival: u.arrival
-              ? { time: Number(u.arrival.time), delay: Number(u.arrival.delay) }
-              : undefined,
-            departure: u.departure
-              ? { time: Number(u.departure.time), delay: Number(u.departure.delay) }
-              : undefined,
-            scheduleRelationship: u.scheduleRelationship,
-          })),
-          scheduleRelationship: e.tripUpdate?.scheduleRelationship,
-          timestamp: e.tripUpdate?.timestamp
-            ? Number(e.tripUpdate.timestamp)
-            : undefined,
-        },
-      })),
-  };
-
-  await fs.mkdir("docs", { recursive: true });
-  await fs.writeFile(
-    "docs/realtime_tripupdates.json",
-    JSON.stringify(out),
-    "utf8"
-  );
-  console.log("Wrote docs/realtime_tripupdates.json");
+async function writeChecked(out, file) {
+  const errors = validateRealtimeJson(out);
+  if (errors.length) {
+    throw new Error(`GTFS-RT JSON がスキーマ検査に失敗しました (${file}):\n  ${errors.slice(0, 20).join("\n  ")}`);
+  }
+
+  if (keepIfUnchanged && sameFeedContent(out, await readJsonIfExists(file))) {
+    console.log(`No content change: ${file}`);
+    return;
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify(out), "utf8");
+  const counts = Object.entries(out.counts).filter(([k]) => k !== "entity").map(([k, n]) => `${k}=${n}`).join(", ");
+  console.log(`Wrote ${file} (${counts}, header.timestamp=${out.header.timestamp})`);
+}
+
+async function writeStatus(status) {
+  await fs.mkdir(path.dirname(statusFile), { recursive: true });
+  await fs.writeFile(statusFile, JSON.stringify(status, null, 2) + "\n", "utf8");
+}
+
+// --check-status：通知すべき状態なら失敗で終わる
+async function checkStatus() {
+  const problems = rtStatusProblems(await readJsonIfExists(checkStatusFile), {
+    maxFailures,
+    ...(maxAgeMin !== undefined ? { maxAgeSec: maxAgeMin * 60 } : {}),
+  });
+  for (const p of problems) console.log(process.env.GITHUB_ACTIONS ? `::error title=gtfsrt::${p}` : `[fetch-gtfsrt] ${p}`);
+  if (problems.length) process.exit(1);
+  console.log(`GTFS-RT の取得状況に問題はありません: ${checkStatusFile}`);
+}
+
+async function main() {
+  if (checkStatusFile) return checkStatus();
+  const fetchedAt = new Date();
+  const prevStatus = statusFile ? await readJsonIfExists(statusFile) : undefined;
+  /** @type {import("./lib/rt-status.mjs").RtFeedResult[]} */
+  const feedResults = [];
+  try {
+    await fetchAndWrite(fetchedAt, prevStatus, feedResults);
+  } catch (err) {
+    if (!statusFile) throw err;
+    await writeStatus(recordRtFailure(prevStatus, {
+      at: fetchedAt, httpStatus: err.status ?? null, error: err.message, ...(feedsFile ? { feeds: feedResults } : {}),
+    }));
+    if (!(err instanceof FetchError)) throw err;
+    console.warn(`GTFS-RT の取得に失敗しました（記録のみ。連続 ${(prevStatus?.consecutive_failures ?? 0) + 1} 回目）: ${err.message}`);
+  }
+}
+
+async function fetchAndWrite(fetchedAt, prevStatus, feedResults) {
+  // ワークフローの条件付き GET の結果（複数事業者は他社の更新もあるので 304 でも変換する）
+  if (httpStatus != null && httpStatus !== 200 && !feedsFile) {
+    if (httpStatus !== 304) throw new FetchError(`Fetch failed: HTTP ${httpStatus}`, httpStatus);
+    console.log("Not modified (304)");
+    if (statusFile && (!prevStatus?.last_success || prevStatus.consecutive_failures)) {
+      await writeStatus(recordRtSuccess(prevStatus, { at: fetchedAt, httpStatus, etagSent, etag, notModified: true }));
+    }
+    return;
+  }
+  const sources = await readFeedSources(feedResults);
+  const convert = (kind, own) => mergeRealtimeJson(sources.map(s =>
+    prefixRealtimeIds(convertFeedBuffer(s.primary && own ? own : s.buf, { fetchedAt, kinds: [kind] }), s.prefix)));
+  const tripUpdates = convert("trip_update", null);
+  await writeChecked(tripUpdates, outFile);
+  if (archiveDir) {
+    const appended = await appendSnapshot(tripUpdates, archiveDir);
+    console.log(`Archived ${appended} stop predictions to ${archiveDir}`);
+    if (archiveKeepDays !== undefined) {
+      // 履歴の日付はフィード時刻なので、消す範囲もフィード時刻から数える
+      const removed = pruneArchive(archiveDir, archiveKeepDays, tripUpdates.header.timestamp ?? Math.floor(fetchedAt.getTime() / 1000));
+      if (removed.length) console.log(`Pruned ${removed.length} archive files older than ${archiveKeepDays} days: ${removed.join(", ")}`);
+    }
+  }
+
+  for (const extra of EXTRA_OUTPUTS) {
+    const own = await readExtraBuffer(extra);
+    const out = convert(extra.kind, own);
+    const hasPrevious = (await readJsonIfExists(extra.out)) !== undefined;
+    if (own || out.counts[extra.kind] > 0 || hasPrevious) await writeChecked(out, extra.out);
+  }
+
+  if (statusFile) {
+    await writeStatus(recordRtSuccess(prevStatus, {
+      at: fetchedAt,
+      httpStatus: httpStatus ?? (inputFile ? null : 200),
+      etagSent,
+      etag,
+      headerTimestamp: tripUpdates.header.timestamp,
+      tripUpdates: tripUpdates.counts.trip_update,
+      ...(feedsFile ? { feeds: feedResults } : {}),
+    }));
+  }
 }
 
 main().catch(err => {
@@ -0,0 +1,197 @@
+// scripts/lib/gtfs-fares.mjs
+// 運賃表（GTFS の fare_attributes.txt / fare_rules.txt、または Fares v2）を、盤面が引く fares.json の形にまとめる。
+// make-static-json.mjs が使う。Fares v2（fare_leg_rules.txt）があればそちらを優先する。
+//
+// 1 事業者分を readFeedFares で読み、全事業者分を buildFaresJson で 1 つにする。
+// 運賃は「路線 × 乗車の区域 × 降車の区域」で引く。区域は v1 が stops.txt の zone_id、v2 が stop_areas.txt の area_id。
+// 区域の指定が無い規則は "*"（どの区域でもよい）として残し、盤面は区域の一致する規則を先に使う。
+// 次のものは読まない（件数は skipped に数える）:
+//   v1: contains_id のある規則（経由する区域で決まる運賃）
+//   v2: 時間帯（from/to_timeframe_group_id）で変わる規則
+//   乗継割引（fare_transfer_rules.txt・transfers 列）はどちらも扱わない
+import { readCsvEntry } from "./gtfs-zip.mjs";
+
+// fare_media_type → 盤面の表示区分
+const MEDIA_BY_TYPE = { 0: "cash", 1: "ticket", 2: "ic", 3: "emv", 4: "app" };
+const ADULT_PATTERN = /大人|おとな|adult/i;
+const CHILD_PATTERN = /小児|子ども|子供|こども|child/i;
+
+/**
+ * @typedef {{ rider:string, media:string, currency:string }} FareVariant
+ *   rider: "adult" / "child" / 事業者の区分名（v1 は区分が無いので空）。media: "cash" / "ic" / "ticket" など（不明なら空）
+ * @typedef {Map<string, Map<string, { variant:FareVariant, amount:number }>>} FareCells  "乗車区域>降車区域" → 区分 → 運賃
+ * @typedef {{ source:"v1"|"v2", rules:number, skipped:number, zonesByStop:Map<string,string[]>, byRoute:Map<string,FareCells> }} FeedFares
+ */
+
+const variantKey = (v) => `${v.rider}|${v.media}|${v.currency}`;
+const cellKey = (from, to) => `${from || "*"}>${to || "*"}`;
+
+// 同じ区分の運賃が複数当たるときは安いほう（v1 の「当てはまる運賃のうち最も安いもの」に合わせる）
+function putCell(cells, key, variant, amount) {
+  const byVariant = cells.get(key) ?? cells.set(key, new Map()).get(key);
+  const k = variantKey(variant);
+  const cur = byVariant.get(k);
+  if (!cur || amount < cur.amount) byVariant.set(k, { variant, amount });
+}
+
+/**
+ * 1 事業者の運賃表を読む。運賃の表が無ければ null。
+ * @param {import("./gtfs-zip.mjs").ZipFile} zip
+ * @param {{ ns:(id:string)=>string, routeAllowed?:Set<string>|null }} opts  ns: prefix を付ける関数。routeAllowed: 出力する route_id（prefix 付き）
+ * @returns {Promise<FeedFares|null>}
+ */
+export async function readFeedFares(zip, { ns, routeAllowed = null }) {
+  const v2 = Boolean(zip.find("fare_leg_rules.txt") && zip.find("fare_products.txt"));
+  if (!v2 && !zip.find("fare_attributes.txt")) return null;
+
+  // 路線（prefix 付き）と事業者・ネットワーク
+  /** @type {{ route_id:string, agency_id:string, network_id:string }[]} */
+  const routes = [];
+  await readCsvEntry(zip, "routes.txt", r => {
+    const rid = ns(r.route_id);
+    if (!routeAllowed || routeAllowed.has(rid)) routes.push({ route_id: rid, agency_id: r.agency_id ?? "", network_id: r.network_id ?? "" });
+  });
+  /** @type {Map<string,string[]>} */
+  const zonesByStop = new Map();
+  const addZone = (stopId, zone) => {
+    if (!stopId || !zone) return;
+    const list = zonesByStop.get(ns(stopId)) ?? zonesByStop.set(ns(stopId), []).get(ns(stopId));
+    if (!list.includes(ns(zone))) list.push(ns(zone));
+  };
+  /** @type {Map<string,FareCells>} */
+  const byRoute = new Map();
+  const cellsOf = (rid) => byRoute.get(rid) ?? byRoute.set(rid, new Map()).get(rid);
+  let rules = 0, skipped = 0;
+
+  if (v2) {
+    await readCsvEntry(zip, "stop_areas.txt", r => addZone(r.stop_id, r.area_id));
+    /** @type {Map<string,string>} */
+    const mediaById = new Map();
+    await readCsvEntry(zip, "fare_media.txt", r => mediaById.set(r.fare_media_id, MEDIA_BY_TYPE[Number(r.fare_media_type)] ?? ""));
+    /** @type {Map<string,string>} */
+    const riderById = new Map();
+    await readCsvEntry(zip, "rider_categories.txt", r => {
+      const name = r.rider_category_name ?? "";
+      riderById.set(r.rider_category_id, r.is_default_fare_category === "1" || ADULT_PATTERN.test(name) ? "adult" : CHILD_PATTERN.test(name) ? "child" : name);
+    });
+    /** @type {Map<string, { variant:FareVariant, amount:number }[]>} */
+    const productsById = new Map();
+    await readCsvEntry(zip, "fare_products.txt", r => {
+      const amount = Number(r.amount);
+      if (r.amount === "" || !Number.isFinite(amount)) return;
+      const variant = {
+        rider: r.rider_category_id ? riderById.get(r.rider_category_id) ?? r.rider_category_id : "adult",
+        media: r.fare_media_id ? mediaById.get(r.fare_media_id) ?? "" : "",
+        currency: r.currency || "JPY",
+      };
+      const list = productsById.get(r.fare_product_id) ?? productsById.set(r.fare_product_id, []).get(r.fare_product_id);
+      list.push({ variant, amount });
+    });
+    // ネットワーク → 路線（route_networks.txt と routes.txt の network_id の両方）
+    /** @type {Map<string,Set<string>>} */
+    const routesByNetwork = new Map();
+    const addNetwork = (nid, rid) => { if (nid) (routesByNetwork.get(nid) ?? routesByNetwork.set(nid, new Set()).get(nid)).add(rid); };
+    for (const r of routes) addNetwork(r.network_id, r.route_id);
+    await readCsvEntry(zip, "route_networks.txt", r => addNetwork(r.network_id, ns(r.route_id)));
+
+    /** @type {{ routeIds:string[]|null, key:string, priority:number, products:{ variant:FareVariant, amount:number }[] }[]} */
+    const legRules = [];
+    await readCsvEntry(zip, "fare_leg_rules.txt", r => {
+      rules++;
+      const products = productsById.get(r.fare_product_id);
+      if (r.from_timeframe_group_id || r.to_timeframe_group_id || !products) { skipped++; return; }
+      const routeIds = r.network_id ? [...(routesByNetwork.get(r.network_id) ?? [])] : null;
+      legRules.push({ routeIds, key: cellKey(r.from_area_id && ns(r.from_area_id), r.to_area_id && ns(r.to_area_id)), priority: Number(r.rule_priority) || 0, products });
+    });
+    // ネットワーク指定の規則がある路線には、ネットワーク指定の無い規則を当てない（Fares v2 の一致の規則）
+    const routesWithNetworkRule = new Set(legRules.flatMap(l => l.routeIds ?? []));
+    // 同じ路線・区域の組では rule_priority の高い規則だけを使う
+    /** @type {Map<string, number>} */
+    const topPriority = new Map();
+    const targets = legRules.map(l => (l.routeIds ?? routes.map(r => r.route_id).filter(rid => !routesWithNetworkRule.has(rid)))
+      .filter(rid => !routeAllowed || routeAllowed.has(rid)));
+    legRules.forEach((l, i) => {
+      for (const rid of targets[i]) topPriority.set(`${rid}|${l.key}`, Math.max(topPriority.get(`${rid}|${l.key}`) ?? -Infinity, l.priority));
+    });
+    legRules.forEach((l, i) => {
+      for (const rid of targets[i]) {
+        if (topPriority.get(`${rid}|${l.key}`) !== l.priority) continue;
+        for (const p of l.products) putCell(cellsOf(rid), l.key, p.variant, p.amount);
+      }
+    });
+    return { source: "v2", rules, skipped, zonesByStop, byRoute };
+  }
+
+  await readCsvEntry(zip, "stops.txt", r => addZone(r.stop_id, r.zone_id));
+  /** @type {Map<string, { agency_id:string, variant:FareVariant, amount:number }>} */
+  const fareById = new Map();
+  await readCsvEntry(zip, "fare_attributes.txt", r => {
+    const amount = Number(r.price);
+    if (r.price === "" || !Number.isFinite(amount)) return;
+    // v1 には大人・小児の区別が無い。payment_method=1 は乗車前の支払い（券・IC など）
+    fareById.set(r.fare_id, { agency_id: r.agency_id ?? "", variant: { rider: "", media: r.payment_method === "1" ? "ticket" : "", currency: r.currency_type || "JPY" }, amount });
+  });
+  // 事業者を指定した運賃はその事業者の路線にだけ当てる（単一事業者の GTFS は agency_id を省略できる）
+  const routesOfFare = (fare) => routes.filter(r => !fare.agency_id || !r.agency_id || r.agency_id === fare.agency_id).map(r => r.route_id);
+  const ruleRows = await readCsvEntry(zip, "fare_rules.txt", r => {
+    rules++;
+    const fare = fareById.get(r.fare_id);
+    if (!fare || r.contains_id) { skipped++; return; }
+    const rid = r.route_id && ns(r.route_id);
+    if (rid && routeAllowed && !routeAllowed.has(rid)) return;
+    const key = cellKey(r.origin_id && ns(r.origin_id), r.destination_id && ns(r.destination_id));
+    for (const target of rid ? [rid] : routesOfFare(fare)) putCell(cellsOf(target), key, fare.variant, fare.amount);
+  });
+  // fare_rules.txt が無ければ運賃は区域によらず全路線に当たる
+  if (ruleRows < 0) {
+    for (const fare of fareById.values()) for (const rid of routesOfFare(fare)) putCell(cellsOf(rid), cellKey("", ""), fare.variant, fare.amount);
+  }
+  return { source: "v1", rules, skipped, zonesByStop, byRoute };
+}
+
+/**
+ * 全事業者の運賃表を fares.json の形にする。同じ運賃の組・同じ運賃表は 1 つにまとめる。
+ * @param {FeedFares[]} feeds
+ * @returns {{ format_version:1, sources:string[], variants:FareVariant[], prices:[number,number][][], tables:Record<string,number>[], routes:Record<string,number>, zones:Record<string,string[]> }}
+ */
+export function buildFaresJson(feeds) {
+  /** @type {FareVariant[]} */ const variants = [];
+  const variantIdx = new Map();
+  /** @type {[number,number][][]} */ const prices = [];
+  const priceIdx = new Map();
+  /** @type {Record<string,number>[]} */ const tables = [];
+  const tableIdx = new Map();
+  /** @type {Record<string,number>} */ const routes = {};
+  /** @type {Record<string,string[]>} */ const zones = {};
+
+  const internVariant = (v) => {
+    const k = variantKey(v);
+    if (!variantIdx.has(k)) { variantIdx.set(k, variants.length); variants.push(v); }
+    return variantIdx.get(k);
+  };
+  const intern = (map, list, value) => {
+    const k = JSON.stringify(value);
+    if (!map.has(k)) { map.set(k, list.length); list.push(value); }
+    return map.get(k);
+  };
+  for (const feed of feeds) {
+    for (const [rid, cells] of [...feed.byRoute].sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))) {
+      /** @type {Record<string,number>} */
+      const table = {};
+      for (const [key, byVariant] of [...cells].sort(([a], [b]) => a.localeCompare(b))) {
+        const row = [...byVariant.values()].map(({ variant, amount }) => /** @type {[number,number]} */ ([internVariant(variant), amount])).sort((a, b) => a[0] - b[0]);
+        table[key] = intern(priceIdx, prices, row);
+      }
+      routes[rid] = intern(tableIdx, tables, table);
+    }
+  }
+  // 停留所の区域は規則に出てくるものだけ（全区間同額の事業者なら区域は要らない）
+  const usedZones = new Set(tables.flatMap(t => Object.keys(t).flatMap(k => k.split(">"))));
+  for (const feed of feeds) {
+    for (const [sid, list] of feed.zonesByStop) {
+      const used = list.filter(z => usedZones.has(z));
+      if (used.length) zones[sid] = used;
+    }
+  }
+  return { format_version: 1, sources: [...new Set(feeds.map(f => f.source))], variants, prices, tables, routes, zones };
+}
@@ -0,0 +1,106 @@
+// scripts/lib/gtfs-feeds.mjs
+// 複数事業者の GTFS を 1 つの盤面にまとめるための設定の読み込みと、事業者をまたぐ停留所の対応付け。
+// make-static-json.mjs（静的データの統合）と fetch-gtfsrt.mjs（リアルタイムの統合）が使う。
+//
+// 設定ファイル（--feeds または環境変数 GTFS_FEEDS で指定する JSON の配列。並び順 = 停留所一覧・検索結果の順）:
+//   [
+//     { "prefix": "",      "zip": "gtfs.zip", "rt_url_env": "GTFSRT_URL" },
+//     { "prefix": "tokyu", "zip_url_env": "GTFS_STATIC_ZIP_URL_TOKYU", "rt_url_env": "GTFSRT_URL_TOKYU",
+//       "name": "東急バス", "color": "d7003a" }
+//   ]
+//   prefix: route_id・trip_id・service_id・stop_id・agency_id の前に "<prefix>:" を付けて事業者間の衝突を避ける。
+//     空なら ID はそのまま（単一フィードの頃の ?from=260_1 などの URL を生かすため、既存の事業者は空のままにする）
+//   zip / zip_url_env: 静的 GTFS の ZIP のパス / URL を入れた環境変数の名前（URL は鍵を含むので設定には直接書かない）
+//   rt_url_env: GTFS-RT（TripUpdates）の URL を入れた環境変数の名前。無ければその事業者はリアルタイム情報無し
+//   name / color: 盤面に出す事業者名・色（16 進 6 桁）。省略時は agency.txt の agency_name、色は route_color
+import fs from "node:fs";
+import { distanceMeters } from "../../docs/lib/engine.mjs";
+import { normalizeForSearch } from "../../docs/lib/i18n.mjs";
+
+// 別事業者の停留所を同じ場所とみなす距離（道路の向かい側ののりばまで含める）
+export const STOP_LINK_MAX_M = 150;
+
+const PREFIX_PATTERN = /^[A-Za-z0-9_-]*$/;
+const COLOR_PATTERN = /^[0-9A-Fa-f]{6}$/;
+
+/**
+ * @typedef {Object} FeedConfig
+ * @property {string} prefix
+ * @property {string} zipPath
+ * @property {string} zipUrl
+ * @property {string} rtUrl
+ * @property {string} name
+ * @property {string} color
+ */
+
+/**
+ * 設定ファイルを読んで検査する。環境変数の参照はここで解決する。
+ * @param {string} file
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {FeedConfig[]}
+ */
+export function readFeedsConfig(file, env = process.env) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`フィードの設定が読めません: ${file} (${err.message})`);
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error(`フィードの設定は 1 件以上の配列にしてください: ${file}`);
+  const seen = new Set();
+  return list.map((f, i) => {
+    const where = `${file}[${i}]`;
+    const prefix = String(f?.prefix ?? "");
+    if (!PREFIX_PATTERN.test(prefix)) throw new Error(`prefix は英数字・_・- だけにしてください: ${where} "${prefix}"`);
+    if (seen.has(prefix)) throw new Error(`prefix が重複しています: ${where} "${prefix}"`);
+    seen.add(prefix);
+    const zipUrl = f.zip_url_env ? env[f.zip_url_env] ?? "" : "";
+    if (!f.zip && !zipUrl) throw new Error(`静的 GTFS の場所がありません（zip か、値の入った zip_url_env）: ${where}`);
+    const color = String(f.color ?? "").replace(/^#/, "");
+    if (color && !COLOR_PATTERN.test(color)) throw new Error(`color は 16 進 6 桁で指定してください: ${where} "${f.color}"`);
+    return {
+      prefix,
+      zipPath: String(f.zip ?? ""),
+      zipUrl,
+      rtUrl: f.rt_url_env ? env[f.rt_url_env] ?? "" : "",
+      name: String(f.name ?? ""),
+      color,
+    };
+  });
+}
+
+/** prefix を付ける関数。prefix が空、または ID が空ならそのまま返す */
+export function prefixer(prefix) {
+  return (id) => prefix && id != null && id !== "" ? `${prefix}:${id}` : id;
+}
+
+// 停留所名の照合用：括弧書き（「（川崎市）」など）と「バス停」「停留所」を落として検索用に正規化
+function linkName(name) {
+  return normalizeForSearch(String(name ?? "").replace(/[（(][^）)]*[）)]/g, "").replace(/(バス停|停留所)$/, ""));
+}
+
+/**
+ * 事業者をまたいで同じ場所の停留所を対応付ける（STOP_LINK_MAX_M 以内で、名前が同じもの）。
+ * @param {{ stop_id:string, stop_name:string, stop_lat:any, stop_lon:any, feed:number }[]} stops  feed: 設定の何番目の事業者か
+ * @returns {Record<string, string[]>}  stop_id → 対応する他事業者の stop_id（双方向）
+ */
+export function linkStops(stops) {
+  const located = stops
+    .map(s => ({ ...s, lat: Number(s.stop_lat), lon: Number(s.stop_lon), key: linkName(s.stop_name) }))
+    .filter(s => s.key && Number.isFinite(s.lat) && Number.isFinite(s.lon) && (s.lat || s.lon))
+    .sort((a, b) => a.lat - b.lat);
+  const maxDeg = STOP_LINK_MAX_M / 111000;   // 緯度 1 度 ≒ 111 km
+  /** @type {Record<string, Set<string>>} */
+  const links = {};
+  for (let i = 0; i < located.length; i++) {
+    const a = located[i];
+    for (let j = i + 1; j < located.length && located[j].lat - a.lat <= maxDeg; j++) {
+      const b = located[j];
+      if (a.feed === b.feed || a.key !== b.key) continue;
+      if (distanceMeters(a.lat, a.lon, b.lat, b.lon) > STOP_LINK_MAX_M) continue;
+      (links[a.stop_id] ||= new Set()).add(b.stop_id);
+      (links[b.stop_id] ||= new Set()).add(a.stop_id);
+    }
+  }
+  return Object.fromEntries(Object.keys(links).sort().map(id => [id, [...links[id]].sort()]));
+}
@@ -0,0 +1,79 @@
+// scripts/lib/gtfs-shapes.mjs
+// shapes.txt の経路を盤面の路線図用に間引く。make-static-json.mjs が使う。
+// 間引きは Douglas–Peucker。路線ごとに、その路線の経路の点数の合計が予算に収まるまで許容誤差を倍にしていく
+// （系統の多い路線ほど 1 本あたりは粗くなるが、路線ごとのファイルの合計はほぼ一定になる）。
+
+export const SHAPE_POINT_BUDGET = 1500;   // 1 路線の経路の点数の合計（1 点 ≒ 20 バイト）
+const SHAPE_MIN_TOLERANCE_M = 3;          // これより細かい凹凸は最初から落とす
+const SHAPE_MAX_TOLERANCE_M = 200;        // 予算に収まらなくてもこれ以上は粗くしない
+const COORD_DIGITS = 5;                   // 小数 5 桁 ≒ 1 m
+
+/** @typedef {[number, number]} LatLon */
+
+// 線分 a–b から点 p までの距離（m）。短い区間なので a を原点にした平面で近似する
+function distanceToSegment(p, a, b) {
+  const kx = Math.cos(a[0] * Math.PI / 180) * 111_320, ky = 111_320;
+  const bx = (b[1] - a[1]) * kx, by = (b[0] - a[0]) * ky;
+  const px = (p[1] - a[1]) * kx, py = (p[0] - a[0]) * ky;
+  const len2 = bx * bx + by * by;
+  const u = len2 ? Math.max(0, Math.min(1, (px * bx + py * by) / len2)) : 0;
+  return Math.hypot(px - u * bx, py - u * by);
+}
+
+/**
+ * Douglas–Peucker で間引く（両端は必ず残す）。再帰せずにスタックで処理する。
+ * @param {LatLon[]} points
+ * @param {number} toleranceM
+ * @returns {LatLon[]}
+ */
+export function simplifyPolyline(points, toleranceM) {
+  if (points.length <= 2) return points.slice();
+  const keep = new Uint8Array(points.length);
+  keep[0] = keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length) {
+    const [from, to] = /** @type {[number, number]} */ (stack.pop());
+    let worst = -1, worstD = toleranceM;
+    for (let i = from + 1; i < to; i++) {
+      const d = distanceToSegment(points[i], points[from], points[to]);
+      if (d > worstD) { worst = i; worstD = d; }
+    }
+    if (worst < 0) continue;
+    keep[worst] = 1;
+    stack.push([from, worst], [worst, to]);
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+/**
+ * shape_id ごとの経路を、使う路線ごとの予算に収まるよう間引く。
+ * 複数の路線が使う経路は、そのうち最も粗い許容誤差で間引く。
+ * @param {Map<string, LatLon[]>} shapes  shape_id → 点列（shape_pt_sequence 順）
+ * @param {Map<string, Set<string>>} routesByShape  shape_id → その経路を使う route_id
+ * @param {{ budget?:number, minToleranceM?:number }} [opts]
+ * @returns {Map<string, { points:LatLon[], tolerance_m:number }>}
+ */
+export function simplifyShapesByRoute(shapes, routesByShape, { budget = SHAPE_POINT_BUDGET, minToleranceM = SHAPE_MIN_TOLERANCE_M } = {}) {
+  /** @type {Map<string, string[]>} */
+  const shapesByRoute = new Map();
+  for (const [shapeId, routeIds] of routesByShape) {
+    if (!shapes.has(shapeId)) continue;
+    for (const rid of routeIds) shapesByRoute.set(rid, [...(shapesByRoute.get(rid) ?? []), shapeId]);
+  }
+  /** @type {Map<string, number>} */
+  const toleranceOf = new Map();
+  for (const shapeIds of shapesByRoute.values()) {
+    let tol = minToleranceM;
+    while (tol < SHAPE_MAX_TOLERANCE_M
+      && shapeIds.reduce((n, id) => n + simplifyPolyline(/** @type {LatLon[]} */ (shapes.get(id)), tol).length, 0) > budget) tol *= 2;
+    for (const id of shapeIds) toleranceOf.set(id, Math.max(toleranceOf.get(id) ?? 0, tol));
+  }
+  const round = (v) => Number(v.toFixed(COORD_DIGITS));
+  /** @type {Map<string, { points:LatLon[], tolerance_m:number }>} */
+  const out = new Map();
+  for (const [shapeId, tol] of toleranceOf) {
+    const points = simplifyPolyline(/** @type {LatLon[]} */ (shapes.get(shapeId)), tol).map(([lat, lon]) => /** @type {LatLon} */ ([round(lat), round(lon)]));
+    out.set(shapeId, { points, tolerance_m: tol });
+  }
+  return out;
+}
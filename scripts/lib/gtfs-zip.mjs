@@ -0,0 +1,211 @@
+// scripts/lib/gtfs-zip.mjs
+// GTFS ZIP の読み出し（外部パッケージ・unzip コマンド不要）。
+//   - 中央ディレクトリからエントリ一覧を得る（ZIP64 の EOCD / 拡張フィールドに対応）
+//   - データディスクリプタ付き（一般フラグ bit 3）のエントリはローカルヘッダのサイズが 0 なので、中央ディレクトリの値を使う
+//   - 中身は伸長しながらストリームで流し、CSV も断片ごとに行へ分解する（ファイル全体をメモリに載せない）
+// 使い方:
+//   const zip = await openZip("gtfs.zip");
+//   await readCsvEntry(zip, "stops.txt", row => { ... });
+//   zip.close();
+
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import zlib from "node:zlib";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createCsvRowParser } from "../../docs/lib/csv.mjs";
+
+const EOCD_SIG = 0x06054b50;
+const ZIP64_LOCATOR_SIG = 0x07064b50;
+const ZIP64_EOCD_SIG = 0x06064b50;
+const CEN_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const ZIP64_EXTRA_ID = 0x0001;
+const U16_MAX = 0xffff;
+const U32_MAX = 0xffffffff;
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name
+ * @property {number} method       0=stored, 8=deflate
+ * @property {number} flags
+ * @property {number} crc32
+ * @property {number} compSize
+ * @property {number} uncompSize
+ * @property {number} localHdrOff
+ */
+
+/**
+ * @typedef {Object} ZipFile
+ * @property {string} file
+ * @property {ZipEntry[]} entries
+ * @property {(name: string) => ZipEntry | undefined} find   ファイル名で探す（大小無視・サブディレクトリ無視）
+ * @property {() => void} close
+ */
+
+// --zip / GTFS_STATIC_ZIP があればそれを、無ければ GTFS_STATIC_ZIP_URL から一時ファイルへダウンロードする
+export async function resolveZipPath({ zipPath = "", zipUrl = "" } = {}) {
+  if (zipPath && fs.existsSync(zipPath)) return zipPath;
+  if (!zipUrl) throw new Error("GTFS ZIP の場所が不明です。--zip か GTFS_STATIC_ZIP, または GTFS_STATIC_ZIP_URL を指定してください。");
+  const tmp = path.join(os.tmpdir(), `gtfs-${Date.now()}.zip`);
+  const res = await fetch(zipUrl);
+  if (!res.ok || !res.body) throw new Error(`ZIP ダウンロード失敗: ${res.status} ${res.statusText}`);
+  await pipeline(Readable.fromWeb(/** @type {any} */ (res.body)), fs.createWriteStream(tmp));
+  return tmp;
+}
+
+/**
+ * @param {string} file
+ * @returns {Promise<ZipFile>}
+ */
+export async function openZip(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const { cdOffset, cdSize } = readDirectoryLocation(fd, size);
+    const cdBuf = readAt(fd, cdOffset, cdSize);
+    const entries = parseCentralDirectory(cdBuf);
+    const byName = new Map(entries.map(e => [path.posix.basename(e.name).toLowerCase(), e]));
+    return {
+      file,
+      entries,
+      find: name => byName.get(name.toLowerCase()),
+      close: () => fs.closeSync(fd),
+    };
+  } catch (err) {
+    fs.closeSync(fd);
+    throw err;
+  }
+}
+
+/**
+ * @param {number} fd
+ * @param {number} pos
+ * @param {number} len
+ */
+function readAt(fd, pos, len) {
+  const b = Buffer.alloc(len);
+  const n = fs.readSync(fd, b, 0, len, pos);
+  if (n !== len) throw new Error(`ZIP: 読み込みが途中で終わりました（${pos} から ${len} バイト）`);
+  return b;
+}
+
+// EOCD を後方から探し、中央ディレクトリの位置を返す。値が飽和していれば ZIP64 EOCD を読む
+/** @param {number} fd @param {number} size */
+function readDirectoryLocation(fd, size) {
+  const maxComment = 0xffff; // 仕様上の最大
+  const readTail = Math.min(size, 22 + maxComment);
+  const tail = readAt(fd, size - readTail, readTail);
+  let i = readTail - 22;
+  for (; i >= 0; i--) if (tail.readUInt32LE(i) === EOCD_SIG) break;
+  if (i < 0) throw new Error("ZIP: EOCD が見つかりません");
+  const eocdOffset = size - readTail + i;
+
+  let cdSize = tail.readUInt32LE(i + 12);
+  let cdOffset = tail.readUInt32LE(i + 16);
+  const entryCount = tail.readUInt16LE(i + 10);
+  const saturated = entryCount === U16_MAX || cdSize === U32_MAX || cdOffset === U32_MAX;
+
+  // ZIP64 EOCD ロケータは EOCD の直前 20 バイト
+  if (eocdOffset >= 20) {
+    const loc = readAt(fd, eocdOffset - 20, 20);
+    if (loc.readUInt32LE(0) === ZIP64_LOCATOR_SIG) {
+      const z64 = readAt(fd, Number(loc.readBigUInt64LE(8)), 56);
+      if (z64.readUInt32LE(0) !== ZIP64_EOCD_SIG) throw new Error("ZIP: ZIP64 EOCD が壊れています");
+      cdSize = Number(z64.readBigUInt64LE(40));
+      cdOffset = Number(z64.readBigUInt64LE(48));
+    } else if (saturated) {
+      throw new Error("ZIP: ZIP64 形式ですが ZIP64 EOCD ロケータが見つかりません");
+    }
+  }
+  return { cdOffset, cdSize };
+}
+
+/** @param {Buffer} cdBuf @returns {ZipEntry[]} */
+function parseCentralDirectory(cdBuf) {
+  /** @type {ZipEntry[]} */
+  const entries = [];
+  let p = 0;
+  while (p + 46 <= cdBuf.length) {
+    if (cdBuf.readUInt32LE(p) !== CEN_SIG) break;
+    const flags = cdBuf.readUInt16LE(p + 8);
+    const method = cdBuf.readUInt16LE(p + 10);
+    const crc32 = cdBuf.readUInt32LE(p + 16);
+    let compSize = cdBuf.readUInt32LE(p + 20);
+    let uncompSize = cdBuf.readUInt32LE(p + 24);
+    const nameLen = cdBuf.readUInt16LE(p + 28);
+    const extraLen = cdBuf.readUInt16LE(p + 30);
+    const commLen = cdBuf.readUInt16LE(p + 32);
+    let localHdrOff = cdBuf.readUInt32LE(p + 42);
+    const name = cdBuf.subarray(p + 46, p + 46 + nameLen).toString("utf8");
+
+    // ZIP64 拡張フィールド: 飽和している値だけが、非圧縮サイズ・圧縮サイズ・ローカルヘッダ位置の順に入る
+    const extra = cdBuf.subarray(p + 46 + nameLen, p + 46 + nameLen + extraLen);
+    for (let q = 0; q + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(q), len = extra.readUInt16LE(q + 2);
+      if (id === ZIP64_EXTRA_ID) {
+        let r = q + 4;
+        if (uncompSize === U32_MAX) { uncompSize = Number(extra.readBigUInt64LE(r)); r += 8; }
+        if (compSize === U32_MAX) { compSize = Number(extra.readBigUInt64LE(r)); r += 8; }
+        if (localHdrOff === U32_MAX) { localHdrOff = Number(extra.readBigUInt64LE(r)); r += 8; }
+      }
+      q += 4 + len;
+    }
+
+    entries.push({ name, method, flags, crc32, compSize, uncompSize, localHdrOff });
+    p += 46 + nameLen + extraLen + commLen;
+  }
+  return entries;
+}
+
+/**
+ * エントリの中身を伸長しながら流す。終端でサイズ（と CRC-32）を中央ディレクトリの値と照合する。
+ * @param {ZipFile} zip
+ * @param {ZipEntry} e
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* entryChunks(zip, e) {
+  if (e.flags & 1) throw new Error(`ZIP: ${e.name} は暗号化されています`);
+  if (e.method !== 0 && e.method !== 8) throw new Error(`圧縮方式 ${e.method} は未対応です（deflateのみ対応）`);
+
+  const fd = fs.openSync(zip.file, "r");
+  let header;
+  try { header = readAt(fd, e.localHdrOff, 30); } finally { fs.closeSync(fd); }
+  if (header.readUInt32LE(0) !== LOCAL_SIG) throw new Error(`ZIP: local header broken (${e.name})`);
+  const dataStart = e.localHdrOff + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  if (e.compSize === 0) return;
+
+  const raw = fs.createReadStream(zip.file, { start: dataStart, end: dataStart + e.compSize - 1 });
+  const stream = e.method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+  raw.on("error", err => stream.destroy(err));
+
+  let size = 0, crc = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (zlib.crc32) crc = zlib.crc32(chunk, crc);
+    yield chunk;
+  }
+  if (size !== e.uncompSize) throw new Error(`ZIP: ${e.name} のサイズが一致しません（${size} / ${e.uncompSize}）`);
+  if (zlib.crc32 && crc !== e.crc32) throw new Error(`ZIP: ${e.name} の CRC-32 が一致しません`);
+}
+
+/**
+ * CSV エントリを 1 行ずつ onRow に渡す。エントリが無ければ -1、あれば行数を返す。
+ * @param {ZipFile} zip
+ * @param {string} name
+ * @param {(row: Record<string,string>) => void} onRow
+ */
+export async function readCsvEntry(zip, name, onRow) {
+  const e = zip.find(name);
+  if (!e) return -1;
+  const decoder = new TextDecoder("utf-8");
+  const parser = createCsvRowParser();
+  let count = 0;
+  for await (const chunk of entryChunks(zip, e)) {
+    for (const row of parser.push(decoder.decode(chunk, { stream: true }))) { onRow(row); count++; }
+  }
+  for (const row of parser.push(decoder.decode())) { onRow(row); count++; }
+  for (const row of parser.end()) { onRow(row); count++; }
+  return count;
+}
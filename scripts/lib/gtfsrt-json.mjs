@@ -0,0 +1,342 @@
+// scripts/lib/gtfsrt-json.mjs
+// GTFS-RT（protobuf）→ 公開用 JSON の共通変換。fetch-gtfsrt.mjs とワークフローの両方がここを通す。
+//
+// 出力スキーマ（schema_version 1）。キーは GTFS-RT の proto フィールド名どおり snake_case:
+//   {
+//     schema_version: 1,
+//     fetched_at: "2025-08-12T00:04:23.777Z",     // こちらで取得・変換した時刻（ISO 8601）
+//     header: {
+//       gtfs_realtime_version: "2.0",
+//       incrementality: "FULL_DATASET",
+//       timestamp: 1754956800 | null                // フィード自身の生成時刻（epoch 秒）
+//     },
+//     counts: { entity, trip_update, vehicle, alert },  // entity 配列の内訳
+//     entity: [{
+//       id: "…",
+//       feed_timestamp?: 1754956800,                // 複数事業者をまとめたときだけ。その entity の元のフィードの header.timestamp
+//       trip_update: {
+//         trip: { trip_id, route_id?, direction_id?, start_date?, start_time?, schedule_relationship? },
+//         vehicle?: { id?, label? },
+//         stop_time_update: [{
+//           stop_sequence?, stop_id?,
+//           arrival: { time?, delay?, uncertainty? } | null,
+//           departure: { time?, delay?, uncertainty? } | null,
+//           schedule_relationship?                  // "SCHEDULED" | "SKIPPED" | "NO_DATA" | "UNSCHEDULED"
+//         }],
+//         timestamp?, delay?
+//       },
+//       vehicle: {
+//         trip?: { trip_id, route_id?, direction_id?, start_date?, start_time?, schedule_relationship? },
+//         vehicle?: { id?, label? },
+//         position?: { latitude, longitude, bearing?, speed? },
+//         current_stop_sequence?, stop_id?,
+//         current_status?,                          // "INCOMING_AT" | "STOPPED_AT" | "IN_TRANSIT_TO"
+//         timestamp?
+//       },
+//       alert: {
+//         active_period: [{ start?, end? }],          // epoch 秒。空なら常時有効
+//         informed_entity: [{ agency_id?, route_id?, route_type?, direction_id?, stop_id?, trip?: {...} }],
+//         cause?, effect?, severity_level?,
+//         header_text: [{ text, language? }],         // 翻訳ごとに 1 要素（"ja" / "en" など）
+//         description_text: [{ text, language? }],
+//         url: [{ text, language? }]
+//       }
+//     }]
+//   }
+// 列挙値は数値ではなく名前（"CANCELED" など）で出力する。
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+
+export const RT_SCHEMA_VERSION = 1;
+
+const { transit_realtime: rt } = GtfsRealtimeBindings;
+
+const TRIP_RELATIONSHIPS = new Set(Object.keys(rt.TripDescriptor.ScheduleRelationship));
+const STOP_RELATIONSHIPS = new Set(Object.keys(rt.TripUpdate.StopTimeUpdate.ScheduleRelationship));
+const VEHICLE_STATUSES = new Set(Object.keys(rt.VehiclePosition.VehicleStopStatus));
+const ALERT_CAUSES = new Set(Object.keys(rt.Alert.Cause));
+const ALERT_EFFECTS = new Set(Object.keys(rt.Alert.Effect));
+
+const ENTITY_KINDS = /** @type {const} */ (["trip_update", "vehicle", "alert"]);
+
+/** protobuf バイト列をデコードして公開用 JSON を返す */
+export function convertFeedBuffer(buf, opts = {}) {
+  const msg = rt.FeedMessage.decode(buf);
+  const obj = rt.FeedMessage.toObject(msg, { enums: String, longs: Number });
+  return feedObjectToJson(obj, opts);
+}
+
+/**
+ * FeedMessage.toObject（camelCase）→ 公開用 JSON
+ * @param {any} feed
+ * @param {{ fetchedAt?: Date, kinds?: readonly string[] }} [opts] kinds: 出力する entity の種類
+ */
+export function feedObjectToJson(feed, { fetchedAt = new Date(), kinds = ["trip_update"] } = {}) {
+  const h = feed.header || {};
+  const entity = [];
+  for (const e of feed.entity || []) {
+    const out = { id: String(e.id ?? "") };
+    if (kinds.includes("trip_update") && e.tripUpdate) out.trip_update = tripUpdateToJson(e.tripUpdate);
+    if (kinds.includes("vehicle") && e.vehicle) out.vehicle = vehicleToJson(e.vehicle);
+    if (kinds.includes("alert") && e.alert) out.alert = alertToJson(e.alert);
+    if (Object.keys(out).length > 1) entity.push(out);
+  }
+  return {
+    schema_version: RT_SCHEMA_VERSION,
+    fetched_at: fetchedAt.toISOString(),
+    header: {
+      gtfs_realtime_version: h.gtfsRealtimeVersion ?? "",
+      incrementality: h.incrementality ?? "FULL_DATASET",
+      timestamp: toNum(h.timestamp) ?? null,
+    },
+    counts: countEntities(entity),
+    entity,
+  };
+}
+
+function tripDescriptorToJson(t) {
+  return dropUndefined({
+    trip_id: t.tripId,
+    route_id: t.routeId,
+    direction_id: toNum(t.directionId),
+    start_date: t.startDate,
+    start_time: t.startTime,
+    schedule_relationship: t.scheduleRelationship,
+  });
+}
+const vehicleDescriptorToJson = (v) => v ? dropUndefined({ id: v.id, label: v.label }) : undefined;
+
+function tripUpdateToJson(tu) {
+  return dropUndefined({
+    trip: tripDescriptorToJson(tu.trip || {}),
+    vehicle: vehicleDescriptorToJson(tu.vehicle),
+    stop_time_update: (tu.stopTimeUpdate || []).map(u => dropUndefined({
+      stop_sequence: toNum(u.stopSequence),
+      stop_id: u.stopId,
+      arrival: stopTimeEventToJson(u.arrival),
+      departure: stopTimeEventToJson(u.departure),
+      schedule_relationship: u.scheduleRelationship,
+    })),
+    timestamp: toNum(tu.timestamp),
+    delay: toNum(tu.delay),
+  });
+}
+
+function vehicleToJson(vp) {
+  const pos = vp.position;
+  return dropUndefined({
+    trip: vp.trip ? tripDescriptorToJson(vp.trip) : undefined,
+    vehicle: vehicleDescriptorToJson(vp.vehicle),
+    position: pos ? dropUndefined({
+      latitude: toNum(pos.latitude),
+      longitude: toNum(pos.longitude),
+      bearing: toNum(pos.bearing),
+      speed: toNum(pos.speed),
+    }) : undefined,
+    current_stop_sequence: toNum(vp.currentStopSequence),
+    stop_id: vp.stopId,
+    current_status: vp.currentStatus,
+    timestamp: toNum(vp.timestamp),
+  });
+}
+
+function alertToJson(a) {
+  return dropUndefined({
+    active_period: (a.activePeriod || []).map(p => dropUndefined({ start: toNum(p.start), end: toNum(p.end) })),
+    informed_entity: (a.informedEntity || []).map(ie => dropUndefined({
+      agency_id: ie.agencyId,
+      route_id: ie.routeId,
+      route_type: toNum(ie.routeType),
+      direction_id: toNum(ie.directionId),
+      stop_id: ie.stopId,
+      trip: ie.trip ? tripDescriptorToJson(ie.trip) : undefined,
+    })),
+    cause: a.cause,
+    effect: a.effect,
+    severity_level: a.severityLevel,
+    header_text: translatedToJson(a.headerText),
+    description_text: translatedToJson(a.descriptionText),
+    url: translatedToJson(a.url),
+  });
+}
+const translatedToJson = (ts) => (ts?.translation || []).map(t => dropUndefined({ text: t.text ?? "", language: t.language || undefined }));
+
+function stopTimeEventToJson(ev) {
+  if (!ev) return null;
+  return dropUndefined({ time: toNum(ev.time), delay: toNum(ev.delay), uncertainty: toNum(ev.uncertainty) });
+}
+
+function countEntities(entity) {
+  const counts = { entity: entity.length };
+  for (const k of ENTITY_KINDS) counts[k] = entity.filter(e => e[k]).length;
+  return counts;
+}
+
+/**
+ * 公開用 JSON のスキーマ検査。問題点のリストを返す（空なら OK）
+ * @returns {string[]}
+ */
+export function validateRealtimeJson(doc) {
+  const errors = [];
+  const err = (p, msg) => errors.push(`${p}: ${msg}`);
+  if (!isObj(doc)) return ["(root): オブジェクトではありません"];
+  if (doc.schema_version !== RT_SCHEMA_VERSION) err("schema_version", `${RT_SCHEMA_VERSION} ではありません (${doc.schema_version})`);
+  if (typeof doc.fetched_at !== "string" || Number.isNaN(Date.parse(doc.fetched_at))) err("fetched_at", "ISO 8601 の日時ではありません");
+  if (!isObj(doc.header)) err("header", "オブジェクトではありません");
+  else if (doc.header.timestamp !== null && !isInt(doc.header.timestamp)) err("header.timestamp", "epoch 秒か null である必要があります");
+  if (!Array.isArray(doc.entity)) return [...errors, "entity: 配列ではありません"];
+
+  doc.entity.forEach((e, i) => {
+    const p = `entity[${i}]`;
+    if (!isObj(e) || typeof e.id !== "string") return err(p, "id がありません");
+    if (!ENTITY_KINDS.some(k => e[k])) err(p, "trip_update / vehicle / alert のいずれもありません");
+    if (e.feed_timestamp !== undefined && !isInt(e.feed_timestamp)) err(`${p}.feed_timestamp`, "epoch 秒である必要があります");
+    if (e.trip_update) validateTripUpdate(e.trip_update, `${p}.trip_update`, err);
+    if (e.vehicle) validateVehicle(e.vehicle, `${p}.vehicle`, err);
+    if (e.alert) validateAlert(e.alert, `${p}.alert`, err);
+  });
+
+  if (!isObj(doc.counts)) err("counts", "オブジェクトではありません");
+  else {
+    const actual = countEntities(doc.entity);
+    for (const [k, n] of Object.entries(actual)) {
+      if (doc.counts[k] !== n) err(`counts.${k}`, `実数 ${n} と一致しません (${doc.counts[k]})`);
+    }
+  }
+  return errors;
+}
+
+function validateTripUpdate(tu, p, err) {
+  if (!isObj(tu.trip)) return err(`${p}.trip`, "オブジェクトではありません");
+  const rel = tu.trip.schedule_relationship;
+  if (rel !== undefined && !TRIP_RELATIONSHIPS.has(rel)) err(`${p}.trip.schedule_relationship`, `不明な値 ${rel}`);
+  if (!tu.trip.trip_id && rel !== "ADDED") err(`${p}.trip.trip_id`, "ありません");
+  if (!Array.isArray(tu.stop_time_update)) return err(`${p}.stop_time_update`, "配列ではありません");
+  tu.stop_time_update.forEach((u, j) => {
+    const q = `${p}.stop_time_update[${j}]`;
+    if (!isObj(u)) return err(q, "オブジェクトではありません");
+    if (u.stop_sequence === undefined && u.stop_id === undefined) err(q, "stop_sequence も stop_id もありません");
+    if (u.stop_sequence !== undefined && !isInt(u.stop_sequence)) err(`${q}.stop_sequence`, "整数ではありません");
+    if (u.schedule_relationship !== undefined && !STOP_RELATIONSHIPS.has(u.schedule_relationship)) {
+      err(`${q}.schedule_relationship`, `不明な値 ${u.schedule_relationship}`);
+    }
+    for (const k of ["arrival", "departure"]) {
+      const ev = u[k];
+      if (ev === null || ev === undefined) continue;
+      if (!isObj(ev)) { err(`${q}.${k}`, "オブジェクトか null である必要があります"); continue; }
+      for (const f of ["time", "delay", "uncertainty"]) {
+        if (ev[f] !== undefined && !isInt(ev[f])) err(`${q}.${k}.${f}`, "整数ではありません");
+      }
+    }
+  });
+}
+
+function validateVehicle(v, p, err) {
+  if (!isObj(v)) return err(p, "オブジェクトではありません");
+  if (!v.trip && !v.vehicle) err(p, "trip も vehicle もありません");
+  if (v.position !== undefined) {
+    const { latitude, longitude } = v.position ?? {};
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90) err(`${p}.position.latitude`, "緯度ではありません");
+    if (!Number.isFinite(longitude) || Math.abs(longitude) > 180) err(`${p}.position.longitude`, "経度ではありません");
+  }
+  if (v.current_stop_sequence !== undefined && !isInt(v.current_stop_sequence)) err(`${p}.current_stop_sequence`, "整数ではありません");
+  if (v.current_status !== undefined && !VEHICLE_STATUSES.has(v.current_status)) err(`${p}.current_status`, `不明な値 ${v.current_status}`);
+  if (v.timestamp !== undefined && !isInt(v.timestamp)) err(`${p}.timestamp`, "整数ではありません");
+}
+
+function validateAlert(a, p, err) {
+  if (!isObj(a)) return err(p, "オブジェクトではありません");
+  if (!Array.isArray(a.informed_entity) || !a.informed_entity.length) err(`${p}.informed_entity`, "1 件以上必要です");
+  else a.informed_entity.forEach((ie, i) => {
+    if (!isObj(ie) || !["agency_id", "route_id", "route_type", "stop_id", "trip"].some(k => ie[k] !== undefined)) {
+      err(`${p}.informed_entity[${i}]`, "対象（agency/route/stop/trip）がありません");
+    }
+  });
+  if (!Array.isArray(a.active_period)) err(`${p}.active_period`, "配列ではありません");
+  else a.active_period.forEach((ap, i) => {
+    for (const f of ["start", "end"]) if (ap?.[f] !== undefined && !isInt(ap[f])) err(`${p}.active_period[${i}].${f}`, "整数ではありません");
+  });
+  if (a.cause !== undefined && !ALERT_CAUSES.has(a.cause)) err(`${p}.cause`, `不明な値 ${a.cause}`);
+  if (a.effect !== undefined && !ALERT_EFFECTS.has(a.effect)) err(`${p}.effect`, `不明な値 ${a.effect}`);
+  for (const k of ["header_text", "description_text", "url"]) {
+    if (!Array.isArray(a[k]) || a[k].some(t => typeof t?.text !== "string")) err(`${p}.${k}`, "{ text, language } の配列ではありません");
+  }
+  if (Array.isArray(a.header_text) && !a.header_text.length) err(`${p}.header_text`, "空です");
+}
+
+/** fetched_at 以外が同じなら true（ポーリングのたびに無意味なコミットを作らないため） */
+export function sameFeedContent(a, b) {
+  if (!a || !b) return false;
+  const strip = ({ fetched_at, ...rest }) => JSON.stringify(rest);
+  return strip(a) === strip(b);
+}
+
+/**
+ * 複数事業者の統合用：静的データ（make-static-json.mjs --feeds）と同じ prefix を trip_id・route_id・stop_id などに付ける。
+ * prefix が空ならそのまま返す。
+ * @param {any} doc
+ * @param {string} prefix
+ */
+export function prefixRealtimeIds(doc, prefix) {
+  if (!prefix) return doc;
+  const ns = (id) => id != null && id !== "" ? `${prefix}:${id}` : id;
+  const trip = (t) => t && dropUndefined({ ...t, trip_id: ns(t.trip_id), route_id: ns(t.route_id) });
+  const entity = doc.entity.map(e => {
+    const out = { ...e, id: ns(e.id) };
+    if (e.trip_update) {
+      out.trip_update = {
+        ...e.trip_update,
+        trip: trip(e.trip_update.trip),
+        stop_time_update: e.trip_update.stop_time_update.map(u => dropUndefined({ ...u, stop_id: ns(u.stop_id) })),
+      };
+    }
+    if (e.vehicle) out.vehicle = dropUndefined({ ...e.vehicle, trip: trip(e.vehicle.trip), stop_id: ns(e.vehicle.stop_id) });
+    if (e.alert) {
+      out.alert = {
+        ...e.alert,
+        informed_entity: e.alert.informed_entity.map(ie => dropUndefined({
+          ...ie, agency_id: ns(ie.agency_id), route_id: ns(ie.route_id), stop_id: ns(ie.stop_id), trip: trip(ie.trip),
+        })),
+      };
+    }
+    return out;
+  });
+  return { ...doc, entity };
+}
+
+/**
+ * 事業者ごとの公開用 JSON を 1 つにまとめる。1 件ならそのまま返す。
+ * header.timestamp は最も新しいフィードの時刻で、各 entity には元のフィードの時刻を feed_timestamp として残す
+ * （盤面は事業者ごとに古さを判定し、更新の止まった事業者の分だけを捨てる）。
+ * @param {any[]} docs
+ */
+export function mergeRealtimeJson(docs) {
+  if (docs.length === 1) return docs[0];
+  const entity = docs.flatMap(d => d.header.timestamp != null
+    ? d.entity.map(e => ({ ...e, feed_timestamp: d.header.timestamp }))
+    : d.entity);
+  const stamps = docs.map(d => d.header.timestamp).filter(t => t != null);
+  return {
+    schema_version: RT_SCHEMA_VERSION,
+    fetched_at: docs[0].fetched_at,
+    header: {
+      gtfs_realtime_version: docs[0].header.gtfs_realtime_version,
+      incrementality: "FULL_DATASET",
+      timestamp: stamps.length ? Math.max(...stamps) : null,
+    },
+    counts: countEntities(entity),
+    entity,
+  };
+}
+
+function toNum(v) {
+  if (v == null) return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : undefined;
+}
+function dropUndefined(o) {
+  for (const k of Object.keys(o)) if (o[k] === undefined) delete o[k];
+  return o;
+}
+const isObj = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isInt = (v) => Number.isInteger(v);
@@ -0,0 +1,125 @@
+// scripts/lib/rt-archive.mjs
+// TripUpdates の履歴（遅延の実績）を日ごとの NDJSON に追記する。fetch-gtfsrt.mjs が毎回呼び、
+// scripts/aggregate-delays.mjs が読む。
+//   <dir>/<YYYYMMDD>.ndjson（フィード時刻の JST 日付）。1 行 1 停留所の予測:
+//   { ts, trip_id, start_date?, stop_id?, seq?, time?, delay?, skipped? }
+//     ts: フィード時刻（epoch 秒）。time: 発車（無ければ到着）の予測時刻（epoch 秒）。delay: フィードが示す遅れ（秒）
+//     skipped: 停留所通過 / 便の運休
+// 前回のポーリングから値が変わっていない予測は書かない（同じファイル内の最後の値と比べる）。
+// 集計に使う期間より古い日のファイルは pruneArchive で消す（リポジトリにコミットするので増え続けないように）。
+
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+
+const JST_OFFSET_MS = 9 * 3600 * 1000;
+
+/**
+ * @typedef {Object} ArchiveRecord
+ * @property {number} ts
+ * @property {string} trip_id
+ * @property {string} [start_date]
+ * @property {string} [stop_id]
+ * @property {number} [seq]
+ * @property {number} [time]
+ * @property {number} [delay]
+ * @property {boolean} [skipped]
+ */
+
+const num = (v) => v == null || v === "" ? undefined : Number(v);
+const recordKey = (r) => `${r.trip_id}|${r.start_date ?? ""}|${r.seq ?? ""}|${r.stop_id ?? ""}`;
+const recordValue = (r) => `${r.time ?? ""}|${r.delay ?? ""}|${r.skipped ? 1 : ""}`;
+
+/** epoch 秒 → JST の YYYYMMDD */
+export function archiveDayOf(epochSec) {
+  return new Date(epochSec * 1000 + JST_OFFSET_MS).toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+/**
+ * 公開用 JSON（scripts/lib/gtfsrt-json.mjs の出力）から履歴の行を取り出す。
+ * @param {any} doc
+ * @returns {ArchiveRecord[]}
+ */
+export function archiveRecordsOf(doc) {
+  const ts = num(doc?.header?.timestamp) ?? Math.floor(Date.parse(doc?.fetched_at ?? "") / 1000);
+  if (!Number.isFinite(ts)) return [];
+  /** @type {ArchiveRecord[]} */
+  const out = [];
+  for (const e of doc.entity ?? []) {
+    const tu = e.trip_update;
+    const tripId = tu?.trip?.trip_id;
+    if (!tripId) continue;
+    const base = { ts, trip_id: String(tripId), ...(tu.trip.start_date ? { start_date: String(tu.trip.start_date) } : {}) };
+    if (tu.trip.schedule_relationship === "CANCELED") { out.push({ ...base, skipped: true }); continue; }
+    for (const u of tu.stop_time_update ?? []) {
+      const ev = u.departure ?? u.arrival;
+      /** @type {ArchiveRecord} */
+      const r = { ...base };
+      if (u.stop_id != null) r.stop_id = String(u.stop_id);
+      if (u.stop_sequence != null) r.seq = Number(u.stop_sequence);
+      if (u.schedule_relationship === "SKIPPED") r.skipped = true;
+      else {
+        // 旧形式（schema_version 無し）は arrival / departure が epoch 秒の文字列
+        const time = typeof ev === "object" ? num(ev?.time) : num(ev), delay = typeof ev === "object" ? num(ev?.delay) : undefined;
+        if (time === undefined && delay === undefined) continue;
+        if (time !== undefined) r.time = time;
+        if (delay !== undefined) r.delay = delay;
+      }
+      out.push(r);
+    }
+  }
+  return out;
+}
+
+/**
+ * 1 日分の履歴を 1 行ずつ読む（壊れた行は飛ばす）。
+ * @param {string} file
+ * @returns {AsyncGenerator<ArchiveRecord>}
+ */
+export async function* readArchiveDay(file) {
+  if (!fs.existsSync(file)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try { yield JSON.parse(line); } catch { /* 書きかけの行 */ }
+  }
+}
+
+/**
+ * keepDays 日より前（JST の日付）の日ごとのファイルを消し、消したファイル名を返す。
+ * @param {string} dir
+ * @param {number} keepDays  今日を含めず何日前まで残すか（aggregate-delays.mjs の --days と揃える）
+ * @param {number} [nowEpochSec]
+ * @returns {string[]}
+ */
+export function pruneArchive(dir, keepDays, nowEpochSec = Math.floor(Date.now() / 1000)) {
+  if (!fs.existsSync(dir)) return [];
+  const oldest = archiveDayOf(nowEpochSec - keepDays * 86400);
+  const removed = fs.readdirSync(dir).filter(f => /^\d{8}\.ndjson$/.test(f) && f.slice(0, 8) < oldest).sort();
+  for (const f of removed) fs.rmSync(path.join(dir, f));
+  return removed;
+}
+
+/**
+ * スナップショットを日ごとのファイルに追記する。値が変わった予測だけを書き、書いた行数を返す。
+ * @param {any} doc  公開用 JSON（TripUpdates）
+ * @param {string} dir
+ */
+export async function appendSnapshot(doc, dir) {
+  const records = archiveRecordsOf(doc);
+  if (!records.length) return 0;
+  const file = path.join(dir, `${archiveDayOf(records[0].ts)}.ndjson`);
+  /** @type {Map<string,string>} */
+  const last = new Map();
+  let lastTs = -Infinity;
+  for await (const r of readArchiveDay(file)) {
+    last.set(recordKey(r), recordValue(r));
+    lastTs = Math.max(lastTs, r.ts);
+  }
+  if (records[0].ts < lastTs) return 0;   // 古いスナップショット（再実行など）は書かない
+  const fresh = records.filter(r => last.get(recordKey(r)) !== recordValue(r));
+  if (!fresh.length) return 0;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.appendFileSync(file, fresh.map(r => JSON.stringify(r)).join("\n") + "\n");
+  return fresh.length;
+}
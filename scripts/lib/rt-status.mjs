@@ -0,0 +1,111 @@
+// scripts/lib/rt-status.mjs
+// GTFS-RT の取得状況（docs/realtime_status.json）。fetch-gtfsrt.mjs が取得のたびに書き、
+// fetch-gtfsrt.mjs --check-status が連続失敗・更新の止まったフィードを検出してワークフローを失敗させる（= 通知）。
+//
+// 形式（schema_version 1。時刻は ISO 8601）:
+//   { schema_version: 1,
+//     header_timestamp: epoch 秒 | null,      // 最後に書き出した TripUpdates の header.timestamp
+//     last_success: { at, http_status, etag_sent, etag, not_modified, trip_updates? } | null,
+//       // http_status: 200（新しい内容）/ 304（If-None-Match に一致）。null は HTTP 以外（--input のみ）
+//       // etag_sent: 送った If-None-Match、etag: 受け取った ETag（無ければ null）
+//     last_failure: { at, http_status, error } | null,   // http_status: null はネットワーク・変換の失敗
+//     consecutive_failures: 0,                 // 最後の成功以降の失敗回数
+//     feeds: [{ prefix, ok, at, http_status, error?, consecutive_failures }] }   // 複数事業者のときの事業者ごとの結果
+// 304 は失敗からの回復時だけ書き換える（内容の変わらないポーリングのたびにコミットしないため）。
+
+export const RT_STATUS_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {{ at:string, http_status:number|null, etag_sent:string|null, etag:string|null, not_modified:boolean, trip_updates?:number }} RtFetchSuccess
+ * @typedef {{ at:string, http_status:number|null, error:string }} RtFetchFailure
+ * @typedef {{ prefix:string, ok:boolean, at:string, http_status:number|null, error?:string, consecutive_failures:number }} RtFeedStatus
+ * @typedef {{ schema_version:number, header_timestamp:number|null, last_success:RtFetchSuccess|null, last_failure:RtFetchFailure|null, consecutive_failures:number, feeds?:RtFeedStatus[] }} RtStatus
+ * @typedef {{ prefix:string, ok:boolean, http_status?:number|null, error?:string }} RtFeedResult
+ */
+
+/** @returns {RtStatus} */
+export function emptyRtStatus() {
+  return { schema_version: RT_STATUS_SCHEMA_VERSION, header_timestamp: null, last_success: null, last_failure: null, consecutive_failures: 0 };
+}
+
+// 事業者ごとの結果に、前回からの連続失敗回数を付ける
+function feedStatuses(prev, results, at) {
+  const before = new Map((prev?.feeds ?? []).map(f => [f.prefix, f]));
+  return results.map(r => ({
+    prefix: r.prefix,
+    ok: r.ok,
+    at,
+    http_status: r.http_status ?? null,
+    ...(r.error ? { error: r.error } : {}),
+    consecutive_failures: r.ok ? 0 : (before.get(r.prefix)?.consecutive_failures ?? 0) + 1,
+  }));
+}
+
+/**
+ * 取得（または 304）に成功した。304 なら header_timestamp は前回のまま。
+ * @param {RtStatus|undefined} prev
+ * @param {{ at:Date, httpStatus?:number|null, etagSent?:string, etag?:string, notModified?:boolean, headerTimestamp?:number|null, tripUpdates?:number, feeds?:RtFeedResult[] }} r
+ * @returns {RtStatus}
+ */
+export function recordRtSuccess(prev, { at, httpStatus = null, etagSent = "", etag = "", notModified = false, headerTimestamp = null, tripUpdates, feeds }) {
+  const base = prev ?? emptyRtStatus();
+  const iso = at.toISOString();
+  return {
+    ...base,
+    schema_version: RT_STATUS_SCHEMA_VERSION,
+    header_timestamp: notModified ? base.header_timestamp : headerTimestamp,
+    last_success: {
+      at: iso,
+      http_status: httpStatus,
+      etag_sent: etagSent || null,
+      etag: etag || null,
+      not_modified: notModified,
+      ...(tripUpdates != null ? { trip_updates: tripUpdates } : {}),
+    },
+    consecutive_failures: 0,
+    ...(feeds ? { feeds: feedStatuses(base, feeds, iso) } : {}),
+  };
+}
+
+/**
+ * 取得・変換に失敗した。
+ * @param {RtStatus|undefined} prev
+ * @param {{ at:Date, httpStatus?:number|null, error:string, feeds?:RtFeedResult[] }} r
+ * @returns {RtStatus}
+ */
+export function recordRtFailure(prev, { at, httpStatus = null, error, feeds }) {
+  const base = prev ?? emptyRtStatus();
+  const iso = at.toISOString();
+  return {
+    ...base,
+    schema_version: RT_STATUS_SCHEMA_VERSION,
+    last_failure: { at: iso, http_status: httpStatus, error },
+    consecutive_failures: (base.consecutive_failures ?? 0) + 1,
+    ...(feeds ? { feeds: feedStatuses(base, feeds, iso) } : {}),
+  };
+}
+
+/**
+ * 通知すべき状態を文で返す（無ければ空配列）。
+ * @param {RtStatus|undefined} status
+ * @param {{ maxFailures:number, maxAgeSec?:number, nowMs?:number }} opts  maxAgeSec: header.timestamp がこれより古ければ通知（省略時は見ない）
+ * @returns {string[]}
+ */
+export function rtStatusProblems(status, { maxFailures, maxAgeSec, nowMs = Date.now() }) {
+  if (!status) return ["GTFS-RT の取得状況ファイルがありません"];
+  const problems = [];
+  const failure = status.last_failure;
+  const lastError = failure ? `（最後: ${failure.at} ${failure.error}）` : "";
+  if (status.consecutive_failures >= maxFailures) {
+    problems.push(`GTFS-RT の取得に ${status.consecutive_failures} 回続けて失敗しています${lastError}`);
+  }
+  for (const f of status.feeds ?? []) {
+    if (f.consecutive_failures >= maxFailures) {
+      problems.push(`GTFS-RT（${f.prefix || "prefix なし"}）の取得に ${f.consecutive_failures} 回続けて失敗しています${f.error ? `（${f.error}）` : ""}`);
+    }
+  }
+  if (maxAgeSec != null && status.header_timestamp != null && nowMs / 1000 - status.header_timestamp > maxAgeSec) {
+    problems.push(`GTFS-RT の header.timestamp が ${Math.round((nowMs / 1000 - status.header_timestamp) / 60)} 分更新されていません（${new Date(status.header_timestamp * 1000).toISOString()}）`);
+  }
+  return problems;
+}
@@ -0,0 +1,147 @@
+// scripts/make-departures-api.mjs
+// 区間ごとの次の発車を docs/api/departures/<from>__<to>.json に書き出す（ブラウザ以外の利用者向け。
+// 電子ペーパー・Slack ボットなどが stop_times の分割ファイルを読んで結合しなくて済むように）。
+// 結合は盤面と同じ docs/lib/engine.mjs。リアルタイム情報は docs/realtime_tripupdates.json（あれば）。
+// 使い方:
+//   node scripts/make-departures-api.mjs [--pairs 260_1:434_5,434_5:260_1] [--rows 10] [--hours 3] [--now 2025-08-12T07:30:00+09:00]
+//   # --pairs が無ければ環境変数 API_PAIRS、それも無ければ TIMETABLE_PAIRS（make-timetables.mjs と同じ区間）
+//   # --rows 0 で件数の制限なし（リアルタイム情報を取りに行かない日次ビルドでは 1 日分を出しておく）
+// ファイル名の ID の ":"（複数事業者の prefix）は "-" にする。設定から外れた区間のファイルは消す。
+// generated_at 以外が前回と同じなら書き換えない。
+//
+// 出力（schema_version 1。時刻は ISO 8601、*_time は JST の "HH:MM"）:
+//   { schema_version, generated_at, service_date, realtime_updated_at: ISO | null,
+//     realtime_status: "fresh" | "stale" | "missing",   // missing: リアルタイム情報が無い・古すぎるので時刻表どおり
+//     from: { stop_id, stop_name }, to: { stop_id, stop_name },
+//     departures: [{ trip_id, route_id, route, headsign, agency?,
+//       scheduled_departure, scheduled_departure_time, expected_departure, expected_departure_time,
+//       realtime,            // true: リアルタイムの予測。false: 時刻表（predicted なら遅れの実績による予測）
+//       predicted?, delay_sec?, scheduled_arrival?, expected_arrival?,
+//       status?,             // "CANCELED" | "SKIPPED_ORIGIN" | "SKIPPED_DEST"（乗れない便も一覧には残す）
+//       added? }] }          // 時刻表に無い臨時便
+//   index.json: { schema_version, generated_at, pairs: [{ from, to, file }] }
+import fs from "node:fs";
+import path from "node:path";
+import { loadFeed, fileFetcher, adaptRtSnakeToCamel, todayYmdJst, serviceSecsToDate, toHHMM } from "../docs/lib/engine.mjs";
+
+// ---------- 設定 ----------
+const DOCS_DIR = process.env.DOCS_DIR || "docs";
+const API_DIR_REL = path.posix.join("api", "departures");
+const OUT_DIR = path.join(DOCS_DIR, API_DIR_REL);
+const REALTIME_FILE = path.join(DOCS_DIR, "realtime_tripupdates.json");
+const DEFAULT_PAIRS = "260_1:434_5";   // index.html の既定の区間
+const SHOW_PAST_MIN = 1;               // 発車後この分数までは残す
+
+// ---------- 引数 ----------
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const pairSpecs = String(args.get("pairs") || process.env.API_PAIRS || process.env.TIMETABLE_PAIRS || DEFAULT_PAIRS)
+  .split(",").map(s => s.trim()).filter(Boolean);
+const rows = Number(args.get("rows") ?? 10);
+const hours = Number(args.get("hours") ?? 3);
+const now = args.has("now") ? Date.parse(String(args.get("now"))) : Date.now();
+if (!Number.isInteger(rows) || rows < 0) throw new Error(`--rows は 0 以上の整数で指定してください: ${args.get("rows")}`);
+if (!Number.isFinite(hours) || hours <= 0) throw new Error(`--hours は正の数で指定してください: ${args.get("hours")}`);
+if (!Number.isFinite(now)) throw new Error(`--now が日時として読めません: ${args.get("now")}`);
+
+// "乗車:降車"。複数事業者の prefix 付きの ID（"tokyu:1:434_5"）は、両側が実在する停留所になる分け方を選ぶ
+function parsePair(spec, stopIds) {
+  const parts = spec.split(":");
+  for (let i = 1; i < parts.length; i++) {
+    const from = parts.slice(0, i).join(":"), to = parts.slice(i).join(":");
+    if (parts.length === 2 || (stopIds.has(from) && stopIds.has(to))) return { from, to };
+  }
+  throw new Error(`区間の指定が不正です: ${spec}（乗車:降車 の形で指定してください）`);
+}
+
+const pairFileName = ({ from, to }) => `${from}__${to}`.replace(/:/g, "-") + ".json";
+
+function readJsonOrNull(p) {
+  try { return JSON.parse(fs.readFileSync(p, "utf8")); } catch { return null; }
+}
+// generated_at 以外が前回と同じなら書き換えない
+function writeIfChanged(file, doc) {
+  const previous = readJsonOrNull(file);
+  if (previous && JSON.stringify({ ...previous, generated_at: undefined }) === JSON.stringify({ ...doc, generated_at: undefined })) return false;
+  fs.writeFileSync(file, JSON.stringify(doc));
+  return true;
+}
+
+/** @param {import("../docs/lib/engine.mjs").MergedLeg} l */
+function departureOf(l, ymd) {
+  const iso = (secs) => secs == null ? undefined : serviceSecsToDate(secs, ymd).toISOString();
+  const live = l.live_departure != null;
+  const expected = l.live_departure ?? l.predicted_departure ?? l.sched_departure;
+  return {
+    trip_id: l.trip_id,
+    route_id: l.route_id,
+    route: l.route_label,
+    headsign: l.headsign,
+    ...(l.agency_name ? { agency: l.agency_name } : {}),
+    scheduled_departure: iso(l.sched_departure),
+    scheduled_departure_time: toHHMM(l.sched_departure),
+    expected_departure: iso(expected),
+    expected_departure_time: toHHMM(expected),
+    realtime: live,
+    ...(!live && l.predicted_departure != null ? { predicted: true } : {}),
+    ...(live ? { delay_sec: /** @type {number} */ (l.live_departure) - l.sched_departure } : {}),
+    ...(l.sched_arrival != null ? { scheduled_arrival: iso(l.sched_arrival) } : {}),
+    ...(l.sched_arrival != null || l.live_arrival != null ? { expected_arrival: iso(l.live_arrival ?? l.sched_arrival) } : {}),
+    ...(l.status ? { status: l.status } : {}),
+    ...(l.added ? { added: true } : {}),
+  };
+}
+
+// ---------- メイン ----------
+(async () => {
+  const feed = await loadFeed(fileFetcher(DOCS_DIR), { clock: () => now });
+  const rt = adaptRtSnakeToCamel(readJsonOrNull(REALTIME_FILE));
+  const ymd = todayYmdJst(now);
+  const stopName = (id) => feed.stops.find(s => s.stop_id === id)?.stop_name ?? id;
+  const generatedAt = new Date().toISOString();
+  const stopIds = new Set(feed.stops.map(s => s.stop_id));
+  const pairs = pairSpecs.map(spec => parsePair(spec, stopIds));
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const index = [];
+  let written = 0;
+  for (const pair of pairs) {
+    const legs = await feed.departures({ from: pair.from, to: pair.to, now, rt });
+    const upcoming = legs
+      .map(l => ({ l, at: serviceSecsToDate(l.live_departure ?? l.predicted_departure ?? l.sched_departure, ymd).getTime() }))
+      .filter(r => r.at >= now - SHOW_PAST_MIN * 60_000 && r.at <= now + hours * 3600_000)
+      .sort((a, b) => a.at - b.at)
+      .slice(0, rows || undefined)
+      .map(r => departureOf(r.l, ymd));
+    const file = pairFileName(pair);
+    const doc = {
+      schema_version: 1,
+      generated_at: generatedAt,
+      service_date: ymd,
+      realtime_updated_at: rt?.updatedAt ? new Date(rt.updatedAt * 1000).toISOString() : null,
+      realtime_status: feed.realtimeFreshness(rt, now),
+      from: { stop_id: pair.from, stop_name: stopName(pair.from) },
+      to: { stop_id: pair.to, stop_name: stopName(pair.to) },
+      departures: upcoming,
+    };
+    if (writeIfChanged(path.join(OUT_DIR, file), doc)) written++;
+    index.push({ from: pair.from, to: pair.to, file: path.posix.join(API_DIR_REL, file) });
+    console.log(`[make-departures-api] ${pair.from} -> ${pair.to}: ${upcoming.length} departures`);
+  }
+  // 設定から外れた区間のファイルを消す
+  const keep = new Set(["index.json", ...pairs.map(pairFileName)]);
+  for (const f of fs.readdirSync(OUT_DIR)) {
+    if (f.endsWith(".json") && !keep.has(f)) fs.rmSync(path.join(OUT_DIR, f));
+  }
+  writeIfChanged(path.join(OUT_DIR, "index.json"), { schema_version: 1, generated_at: generatedAt, pairs: index });
+  console.log(`[make-departures-api] wrote ${written} of ${pairs.length} files in ${OUT_DIR}`);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
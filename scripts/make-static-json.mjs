@@ -1,25 +1,78 @@
 // scripts/make-static-json.mjs
 // Node 18+ (ESM) 前提。外部パッケージ不要。
+// GTFS ZIP を 1 回だけ読み、静的 JSON 一式（stops/routes/trips・stop_times 分割・calendar/calendar_dates・
+// translations.txt の訳）を書き出す。
+// 各エントリは伸長しながら 1 行ずつ処理し、stop_times は路線ごとに一時ファイルへ退避してから 1 路線ずつ変換する
+// （メモリに載るのは最大の 1 路線分まで）。
 // 使い方:
-//   node scripts/make-static-json.mjs --zip path/to/gtfs.zip [--routes 10000,10054]
-//   # または環境変数 GTFS_STATIC_ZIP / GTFS_STATIC_ZIP_URL / ROUTE_IDS を使用
+//   node scripts/make-static-json.mjs --zip path/to/gtfs.zip [--routes 10000,10054] [--format 2]
+//   # または環境変数 GTFS_STATIC_ZIP / GTFS_STATIC_ZIP_URL / ROUTE_IDS / STOP_TIMES_FORMAT を使用
+//   node scripts/make-static-json.mjs --feeds gtfs-feeds.json   # 複数事業者（環境変数 GTFS_FEEDS でも可。--zip より優先）
+//     設定の形式は scripts/lib/gtfs-feeds.mjs。各事業者の ID に prefix を付けて 1 つの出力にまとめる
+//     （--routes も prefix 付きの route_id で指定する）
+//
+// shapes/<shape_id>.json（shapes.txt がある場合。prefix 付きの ID は shapes/<prefix>/<id>.json）:
+//   { shape_id, tolerance_m, points: [[緯度, 経度]...] }   // 盤面の路線図用。scripts/lib/gtfs-shapes.mjs で間引く
+//   路線ごとに点数の予算（SHAPE_POINT_BUDGET）があり、系統の多い路線ほど粗くなる。trips.json の shape_id から引く
+//
+// fares.json（fare_attributes.txt / fare_rules.txt、または Fares v2 がある場合）:
+//   { format_version: 1, sources: ["v1"|"v2"...], variants: [{ rider, media, currency }...],
+//     prices: [[[variant 番号, 運賃]...]...], tables: [{ "乗車区域>降車区域": prices の番号 }...],
+//     routes: { route_id: tables の番号 }, zones: { stop_id: [区域...] } }
+//   区域の "*" はどの区域でもよい。同じ運賃の組・運賃表は 1 つにまとめる。読み方は scripts/lib/gtfs-fares.mjs
+//
+// agencies.json: [{ agency_id, agency_name, agency_color }]   // agency_color は設定の color（無ければ空）
+// stop_links.json（複数事業者のときだけ）: { stop_id: [同じ場所にある他事業者の stop_id...] }
+//   盤面は乗降停留所の別名としてこれを使い、全事業者の発車を 1 つの一覧に並べる
+//
+// stop_times/by_route/*.json の形式（stop_times/index.json の format_version で判別）
+//   1: [{trip_id, arrival_time, departure_time, stop_id, stop_sequence}, ...]（旧形式）
+//   2: 列指向の圧縮形式
+//      { format_version: 2, route_id, stops: [stop_id...],
+//        patterns: [[stopIdx...], [stop_sequence...]?]...,   // stop_sequence が 1..n なら省略
+//        trips: [[trip_id, patternIdx, [departure 差分秒...], [停車秒...]?]...] }
+//      departure 差分は先頭が 0 時起点の秒、以降は直前の停留所からの差分（時刻欠落は null）。
+//      停車秒（departure - arrival）は全て 0 なら省略。
+//
+// i18n/<言語>.json（translations.txt がある場合。言語は ja-Hrkt・en など）
+//   { language, names: { 日本語の名前: 訳 } }   // 停留所名・路線名・行先。盤面（docs/lib/i18n.mjs）が名前を引く
+//   GTFS-JP の新形式（table_name, field_name, language, translation, record_id, field_value）と
+//   旧形式（trans_id, lang, translation。trans_id が日本語の名前）の両方を読む。
 
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
+import { resolveZipPath, openZip, readCsvEntry } from "./lib/gtfs-zip.mjs";
+import { readFeedsConfig, prefixer, linkStops } from "./lib/gtfs-feeds.mjs";
+import { simplifyShapesByRoute, SHAPE_POINT_BUDGET } from "./lib/gtfs-shapes.mjs";
+import { readFeedFares, buildFaresJson } from "./lib/gtfs-fares.mjs";
+import { shapeFileOf } from "../docs/lib/engine.mjs";
 
 // ---------- 設定（必要に応じて調整） ----------
 const DOCS_DIR = process.env.DOCS_DIR || "docs";
-const STOP_TIMES_OUT_DIR = path.join(DOCS_DIR, "stop_times/by_route");
+const STOP_TIMES_DIR_REL = "stop_times";
+const STOP_TIMES_OUT_DIR = path.join(DOCS_DIR, STOP_TIMES_DIR_REL, "by_route");
 
 // 保存する列（軽量化）
 const KEEP = {
   stops: ["stop_id", "stop_name", "stop_lat", "stop_lon"],
-  routes: ["route_id", "route_short_name", "route_long_name"],
-  trips: ["trip_id", "route_id", "service_id", "trip_headsign", "direction_id"],
+  routes: ["route_id", "agency_id", "route_short_name", "route_long_name", "route_color", "route_text_color"],
+  trips: ["trip_id", "route_id", "service_id", "trip_headsign", "direction_id", "shape_id"],
   stop_times: ["trip_id", "arrival_time", "departure_time", "stop_id", "stop_sequence"],
 };
 
+// 訳を書き出す列（table_name → field_name）
+const TRANSLATED_FIELDS = {
+  stops: ["stop_name"],
+  routes: ["route_short_name", "route_long_name"],
+  trips: ["trip_headsign"],
+};
+const I18N_DIR_REL = "i18n";
+const SHAPES_DIR_REL = "shapes";
+
+// 一時ファイルへ退避するまでにメモリへ溜める stop_times の行数（全路線合計）
+const SPILL_ROWS = 50000;
+
 // ---------- 引数・環境変数 ----------
 const args = new Map(process.argv.slice(2).map((a, i, arr) => {
   if (a.startsWith("--")) {
@@ -29,237 +82,350 @@ const args = new Map(process.argv.slice(2).map((a, i, arr) => {
   }
   return [a, true];
 }));
-let zipPath = args.get("zip") || process.env.GTFS_STATIC_ZIP || "";
+const zipPath = args.get("zip") || process.env.GTFS_STATIC_ZIP || "";
 const zipUrl = process.env.GTFS_STATIC_ZIP_URL || "";
+const feedsFile = args.get("feeds") || process.env.GTFS_FEEDS || "";
 const routeFilterStr = args.get("routes") || process.env.ROUTE_IDS || "";
 const routeFilter = new Set(
   routeFilterStr ? routeFilterStr.split(",").map(s => s.trim()).filter(Boolean) : []
 );
+const formatVersion = Number(args.get("format") || process.env.STOP_TIMES_FORMAT || 2);
+if (formatVersion !== 1 && formatVersion !== 2) throw new Error(`未対応の stop_times 形式です: ${formatVersion}`);
 
 // ---------- ユーティリティ ----------
-async function ensureZipPath() {
-  if (zipPath && fs.existsSync(zipPath)) return zipPath;
-  if (!zipUrl) throw new Error("GTFS ZIP の場所が不明です。--zip か GTFS_STATIC_ZIP, または GTFS_STATIC_ZIP_URL を指定してください。");
-  const tmp = path.join(os.tmpdir(), `gtfs-${Date.now()}.zip`);
-  const res = await fetch(zipUrl);
-  if (!res.ok) throw new Error(`ZIP ダウンロード失敗: ${res.status} ${res.statusText}`);
-  const buf = Buffer.from(await res.arrayBuffer());
-  fs.writeFileSync(tmp, buf);
-  zipPath = tmp;
-  return zipPath;
+// 必要列だけに絞る & 型調整
+function projectRow(r, keepCols, numericCols = []) {
+  const o = {};
+  for (const k of keepCols) o[k] = r[k] ?? "";
+  for (const nk of numericCols) if (o[nk] !== "") o[nk] = Number(o[nk]);
+  return o;
 }
 
-// ZIP からファイルを取り出してテキストで返す（外部コマンド不要）
-async function readFromZip(zipFile, wantNames) {
-  // すごく小さな ZIP リーダ（中央ディレクトリ探索）:
-  // 実装簡素化のため、unzip コマンド無しで "必要なファイル名だけ" を抽出する。
-  // 参考: ZIP EOCD シグネチャ 0x06054b50
-  const fd = fs.openSync(zipFile, "r");
-  const stat = fs.fstatSync(fd);
-  const size = stat.size;
-
-  // EOCD を後方から探索
-  const EOCD_SIG = 0x06054b50;
-  const maxComment = 0xffff; // 仕様上の最大
-  const readTail = Math.min(size, 22 + maxComment);
-  const tail = Buffer.alloc(readTail);
-  fs.readSync(fd, tail, 0, readTail, size - readTail);
-
-  let eocdOffset = -1;
-  for (let i = readTail - 22; i >= 0; i--) {
-    if (tail.readUInt32LE(i) === EOCD_SIG) { eocdOffset = size - readTail + i; break; }
-  }
-  if (eocdOffset < 0) throw new Error("ZIP: EOCD が見つかりません");
-
-  // EOCD から中央ディレクトリ位置とサイズを得る
-  const cdSize = readUInt32LE(zipFile, fd, eocdOffset + 12);
-  const cdOffset = readUInt32LE(zipFile, fd, eocdOffset + 16);
-  const cdBuf = Buffer.alloc(cdSize);
-  fs.readSync(fd, cdBuf, 0, cdSize, cdOffset);
+// "HH:MM:SS"（24時超えあり）→ 秒。空欄は null
+function parseGtfsTime(t) {
+  if (!t) return null;
+  const [h, m, s] = String(t).split(":").map(Number);
+  return h * 3600 + m * 60 + (s || 0);
+}
 
-  // 中央ディレクトリを走査して対象エントリを特定
-  const CEN_SIG = 0x02014b50;
-  const entries = []; // {name, localHeaderOffset, compSize, uncompSize, method}
-  let p = 0;
-  while (p + 46 <= cdBuf.length) {
-    if (cdBuf.readUInt32LE(p) !== CEN_SIG) break;
-    const method = cdBuf.readUInt16LE(p + 10);
-    const compSize = cdBuf.readUInt32LE(p + 20);
-    const uncompSize = cdBuf.readUInt32LE(p + 24);
-    const nameLen = cdBuf.readUInt16LE(p + 28);
-    const extraLen = cdBuf.readUInt16LE(p + 30);
-    const commLen = cdBuf.readUInt16LE(p + 32);
-    const localHdrOff = cdBuf.readUInt32LE(p + 42);
-    const name = cdBuf.slice(p + 46, p + 46 + nameLen).toString("utf8");
-    entries.push({ name, localHdrOff, compSize, uncompSize, method });
-    p += 46 + nameLen + extraLen + commLen;
+// 1 路線分の stop_times を format_version 2 へ変換
+function encodeCompactPartition(routeId, rows) {
+  /** @type {Map<string, any[]>} */
+  const byTrip = new Map();
+  for (const r of rows) {
+    const arr = byTrip.get(r.trip_id) ?? [];
+    arr.push(r);
+    byTrip.set(r.trip_id, arr);
   }
-
-  // 名前マッチ（大小無視 & サブディレクトリ考慮）
-  const wantSet = new Set(wantNames.map(n => n.toLowerCase()));
-  const pick = entries.filter(e => {
-    const base = path.basename(e.name).toLowerCase();
-    return wantSet.has(base);
-  });
-
-  const out = {};
-  for (const e of pick) {
-    out[path.basename(e.name)] = await extractEntryAsText(fd, e);
+  const stops = [], stopIdx = new Map();
+  const patterns = [], patternIdx = new Map();
+  const trips = [];
+  for (const [tripId, arr] of byTrip) {
+    arr.sort((a, b) => a.stop_sequence - b.stop_sequence);
+    const idxs = arr.map(r => {
+      if (!stopIdx.has(r.stop_id)) { stopIdx.set(r.stop_id, stops.length); stops.push(r.stop_id); }
+      return stopIdx.get(r.stop_id);
+    });
+    const seqs = arr.map(r => r.stop_sequence);
+    const key = `${idxs.join(",")}|${seqs.join(",")}`;
+    if (!patternIdx.has(key)) {
+      patternIdx.set(key, patterns.length);
+      patterns.push(seqs.every((q, i) => q === i + 1) ? [idxs] : [idxs, seqs]);
+    }
+    const deltas = [], dwells = [];
+    let prev = 0;
+    for (const r of arr) {
+      const arrSec = parseGtfsTime(r.arrival_time), depSec = parseGtfsTime(r.departure_time);
+      const t = depSec ?? arrSec;
+      if (t == null) { deltas.push(null); dwells.push(0); continue; }
+      deltas.push(t - prev);
+      prev = t;
+      dwells.push(arrSec != null && depSec != null ? depSec - arrSec : 0);
+    }
+    const trip = [tripId, patternIdx.get(key), deltas];
+    if (dwells.some(Boolean)) trip.push(dwells);
+    trips.push({ first: deltas.find(d => d != null) ?? 0, trip });
   }
-  fs.closeSync(fd);
-  return out;
+  trips.sort((a, b) => (a.first - b.first) || String(a.trip[0]).localeCompare(String(b.trip[0])));
+  return { format_version: 2, route_id: routeId, stops, patterns, trips: trips.map(t => t.trip) };
 }
 
-function readUInt32LE(zipFile, fd, pos) {
-  const b = Buffer.alloc(4);
-  fs.readSync(fd, b, 0, 4, pos);
-  return b.readUInt32LE(0);
-}
-
-async function extractEntryAsText(fd, e) {
-  // ローカルヘッダ: 0x04034b50
-  const LOCAL_SIG = 0x04034b50;
-  const header = Buffer.alloc(30);
-  fs.readSync(fd, header, 0, 30, e.localHdrOff);
-  if (header.readUInt32LE(0) !== LOCAL_SIG) throw new Error("ZIP: local header broken");
-
-  const nameLen = header.readUInt16LE(26);
-  const extraLen = header.readUInt16LE(28);
-  const dataStart = e.localHdrOff + 30 + nameLen + extraLen;
-
-  const data = Buffer.alloc(e.compSize);
-  fs.readSync(fd, data, 0, e.compSize, dataStart);
+function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
+function writeJson(p, v) { ensureDir(path.dirname(p)); fs.writeFileSync(p, JSON.stringify(v)); }
 
-  let raw;
-  if (e.method === 0) {
-    raw = data; // stored
-  } else if (e.method === 8) {
-    // deflate
-    const zlib = await import("node:zlib");
-    raw = zlib.inflateRawSync(data);
-  } else {
-    throw new Error(`圧縮方式 ${e.method} は未対応です（deflateのみ対応）`);
-  }
-  return raw.toString("utf8");
+// stop_times の路線別退避先。1 行 = [trip_id, arrival_time, departure_time, stop_id, stop_sequence] の JSON
+function createRouteSpool(dir) {
+  /** @type {Map<string, string[]>} */
+  const pending = new Map();
+  const routeIds = new Set();
+  let buffered = 0;
+  const fileOf = rid => path.join(dir, `${encodeURIComponent(rid)}.ndjson`);
+  const flush = () => {
+    for (const [rid, lines] of pending) fs.appendFileSync(fileOf(rid), lines.join("\n") + "\n");
+    pending.clear();
+    buffered = 0;
+  };
+  return {
+    routeIds,
+    add(rid, r) {
+      routeIds.add(rid);
+      const lines = pending.get(rid) ?? [];
+      lines.push(JSON.stringify([r.trip_id, r.arrival_time, r.departure_time, r.stop_id, r.stop_sequence]));
+      pending.set(rid, lines);
+      if (++buffered >= SPILL_ROWS) flush();
+    },
+    flush,
+    // 1 路線分を読み戻して一時ファイルを消す
+    take(rid) {
+      const text = fs.readFileSync(fileOf(rid), "utf8");
+      fs.rmSync(fileOf(rid));
+      return text.split("\n").filter(Boolean).map(line => {
+        const [trip_id, arrival_time, departure_time, stop_id, stop_sequence] = JSON.parse(line);
+        return { trip_id, arrival_time, departure_time, stop_id, stop_sequence };
+      });
+    },
+  };
 }
 
-// CSV パース（引用符対応・高速寄りの簡易実装）
-function parseCsv(text) {
-  const lines = text.replace(/\uFEFF/, "").split(/\r?\n/).filter(l => l.length > 0);
-  if (lines.length === 0) return [];
-  const header = splitCsvLine(lines[0]);
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const cols = splitCsvLine(lines[i]);
-    if (cols.length === 1 && cols[0] === "") continue;
-    const row = {};
-    header.forEach((h, j) => { row[h] = cols[j] ?? ""; });
-    out.push(row);
+// translations.txt を読み、言語 → { 日本語の名前: 訳 }。出力する表に無い名前の訳は捨てる
+async function readTranslations(zip, tables) {
+  /** @type {Record<string, Map<string, Record<string,string>>>} */
+  const byId = {
+    stops: new Map(tables.stops.map(r => [r.stop_id, r])),
+    routes: new Map(tables.routes.map(r => [r.route_id, r])),
+    trips: new Map(tables.trips.map(r => [r.trip_id, r])),
+  };
+  const known = new Set();
+  for (const [table, fields] of Object.entries(TRANSLATED_FIELDS)) {
+    for (const r of tables[table]) for (const f of fields) if (r[f]) known.add(r[f]);
   }
-  return out;
-}
-function splitCsvLine(line) {
-  const out = [];
-  let cur = "", inQ = false;
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQ && line[i + 1] === '"') { cur += '"'; i++; }
-      else { inQ = !inQ; }
-    } else if (ch === "," && !inQ) {
-      out.push(cur); cur = "";
+  /** @type {Map<string, Map<string,string>>} */
+  const byLang = new Map();
+  const rows = await readCsvEntry(zip, "translations.txt", r => {
+    let source, lang;
+    if (r.table_name !== undefined) {
+      if (!TRANSLATED_FIELDS[r.table_name]?.includes(r.field_name)) return;
+      source = r.field_value || byId[r.table_name].get(r.record_id)?.[r.field_name];
+      lang = r.language;
     } else {
-      cur += ch;
+      source = r.trans_id;
+      lang = r.lang;
     }
-  }
-  out.push(cur);
-  return out;
-}
-
-// 必要列だけに絞る & 型調整
-function projectRows(rows, keepCols, numericCols = []) {
-  return rows.map(r => {
-    const o = {};
-    for (const k of keepCols) o[k] = r[k] ?? "";
-    for (const nk of numericCols) if (o[nk] !== "") o[nk] = Number(o[nk]);
-    return o;
+    lang = String(lang ?? "").trim().replace("_", "-");
+    if (!source || !known.has(source) || !lang || lang === "ja" || !r.translation) return;
+    if (!byLang.has(lang)) byLang.set(lang, new Map());
+    byLang.get(lang).set(source, r.translation);
   });
+  return { rows, byLang };
 }
 
-function ensureDir(p) { fs.mkdirSync(p, { recursive: true }); }
-function writeJson(p, v) { ensureDir(path.dirname(p)); fs.writeFileSync(p, JSON.stringify(v)); }
-
 // ---------- メイン ----------
 (async () => {
-  await ensureZipPath();
-
-  // 基本3表（stops/routes/trips）は一括読み
-  const base = await readFromZip(zipPath, ["stops.txt", "routes.txt", "trips.txt"]);
-  if (!base["stops.txt"] || !base["routes.txt"] || !base["trips.txt"]) {
-    throw new Error("stops.txt / routes.txt / trips.txt のいずれかが見つかりません");
-  }
-
-  const stopsCsv = parseCsv(base["stops.txt"]);
-  const routesCsv = parseCsv(base["routes.txt"]);
-  const tripsCsv = parseCsv(base["trips.txt"]);
-
-  // 軽量 JSON へ
-  const stops = projectRows(stopsCsv, KEEP.stops);
-  const routes = projectRows(routesCsv, KEEP.routes);
-  const trips = projectRows(tripsCsv, KEEP.trips, ["direction_id"]);
-
-  // 書き出し
-  ensureDir(DOCS_DIR);
-  writeJson(path.join(DOCS_DIR, "stops.json"), stops);
-  writeJson(path.join(DOCS_DIR, "routes.json"), routes);
-  writeJson(path.join(DOCS_DIR, "trips.json"), trips);
-
-  // trip_id -> route_id の辞書（stop_times 分割用）
-  const tripToRoute = new Map(trips.map(t => [t.trip_id, t.route_id]));
-
-  // ルート絞り込み（任意）
-  const routeAllowed = routeFilter.size ? routeFilter : null;
-
-  // stop_times を route_id ごとに分割書き出し
-  const stText = (await readFromZip(zipPath, ["stop_times.txt"]))["stop_times.txt"];
-  if (!stText) throw new Error("stop_times.txt が見つかりません");
-  const stRows = parseCsv(stText);
+  const feeds = feedsFile
+    ? readFeedsConfig(feedsFile)
+    : [{ prefix: "", zipPath, zipUrl, rtUrl: "", name: "", color: "" }];
+  const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), "gtfs-stop-times-"));
+  try {
+    const stops = [], routes = [], trips = [], agencies = [], calendar = [], calendar_dates = [];
+    /** @type {Map<string, Map<string,string>>} */
+    const byLang = new Map();
+    let translationRows = -1;
+    // ルート絞り込み（任意）
+    const routeAllowed = routeFilter.size ? routeFilter : null;
+    // stop_times は必要列に絞って route_id ごとに一時ファイルへ
+    const spool = createRouteSpool(spoolDir);
+    let orphanRows = 0;
+    /** @type {Parameters<typeof linkStops>[0]} */
+    const stopsByFeed = [];
+    // 経路：prefix 付きの shape_id → 点列 / 使う route_id
+    /** @type {Map<string, [number, number][]>} */
+    const shapes = new Map();
+    /** @type {Map<string, Set<string>>} */
+    const routesByShape = new Map();
+    /** @type {import("./lib/gtfs-fares.mjs").FeedFares[]} */
+    const feedFares = [];
+
+    for (const [feedIndex, feed] of feeds.entries()) {
+      const ns = prefixer(feed.prefix);
+      const zip = await openZip(await resolveZipPath({ zipPath: feed.zipPath, zipUrl: feed.zipUrl }));
+      const label = feed.prefix || "(prefix なし)";
+      try {
+        if (!zip.find("stops.txt") || !zip.find("routes.txt") || !zip.find("trips.txt")) {
+          throw new Error(`stops.txt / routes.txt / trips.txt のいずれかが見つかりません: ${label}`);
+        }
+        if (!zip.find("stop_times.txt")) throw new Error(`stop_times.txt が見つかりません: ${label}`);
+
+        // 基本3表（stops/routes/trips）は必要列だけに絞って保持（訳は元の ID で引くので prefix はその後で付ける）
+        const feedStops = [], feedRoutes = [], feedTrips = [], feedAgencies = [];
+        await readCsvEntry(zip, "stops.txt", r => feedStops.push(projectRow(r, KEEP.stops)));
+        await readCsvEntry(zip, "routes.txt", r => feedRoutes.push(projectRow(r, KEEP.routes)));
+        await readCsvEntry(zip, "trips.txt", r => feedTrips.push(projectRow(r, KEEP.trips, ["direction_id"])));
+        await readCsvEntry(zip, "agency.txt", r => feedAgencies.push(r));
+
+        // 停留所名・路線名・行先の訳（同じ名前の訳は先の事業者を優先）
+        const translations = await readTranslations(zip, { stops: feedStops, routes: feedRoutes, trips: feedTrips });
+        if (translations.rows >= 0) translationRows = Math.max(translationRows, 0) + translations.rows;
+        for (const [lang, names] of translations.byLang) {
+          const merged = byLang.get(lang) ?? new Map();
+          for (const [source, translated] of names) if (!merged.has(source)) merged.set(source, translated);
+          byLang.set(lang, merged);
+        }
+
+        // 事業者（agency_id の無い単一事業者の GTFS は prefix を ID にする）
+        const agencyIdOf = (id) => ns(id || "") || feed.prefix;
+        const defaultAgencyId = feedAgencies[0]?.agency_id ?? "";
+        for (const a of feedAgencies) {
+          agencies.push({ agency_id: agencyIdOf(a.agency_id), agency_name: feed.name || a.agency_name || "", agency_color: feed.color });
+        }
+        for (const s of feedStops) {
+          const stop = { ...s, stop_id: ns(s.stop_id) };
+          stops.push(stop);
+          stopsByFeed.push({ ...stop, feed: feedIndex });
+        }
+        for (const r of feedRoutes) routes.push({ ...r, route_id: ns(r.route_id), agency_id: agencyIdOf(r.agency_id || defaultAgencyId) });
+        for (const t of feedTrips) trips.push({ ...t, trip_id: ns(t.trip_id), route_id: ns(t.route_id), service_id: ns(t.service_id), shape_id: ns(t.shape_id) });
+
+        // 経路（shapes.txt）。出力する路線の便が使う shape_id だけを読む
+        for (const t of feedTrips) {
+          const rid = ns(t.route_id);
+          if (!t.shape_id || (routeAllowed && !routeAllowed.has(String(rid)))) continue;
+          const sid = ns(t.shape_id);
+          (routesByShape.get(sid) ?? routesByShape.set(sid, new Set()).get(sid)).add(rid);
+        }
+        /** @type {Map<string, [number, number, number][]>} */
+        const feedShapes = new Map();
+        await readCsvEntry(zip, "shapes.txt", r => {
+          const sid = ns(r.shape_id);
+          if (!routesByShape.has(sid)) return;
+          const lat = Number(r.shape_pt_lat), lon = Number(r.shape_pt_lon);
+          if (!Number.isFinite(lat) || !Number.isFinite(lon)) return;
+          (feedShapes.get(sid) ?? feedShapes.set(sid, []).get(sid)).push([Number(r.shape_pt_sequence), lat, lon]);
+        });
+        for (const [sid, pts] of feedShapes) shapes.set(sid, pts.sort((a, b) => a[0] - b[0]).map(([, lat, lon]) => [lat, lon]));
+
+        // 運賃（運賃の表が無い事業者は運賃無し）
+        const fares = await readFeedFares(zip, { ns, routeAllowed });
+        if (fares) feedFares.push(fares);
+
+        // calendar / calendar_dates（存在しない場合は空配列。数値化する列のみ型変換）
+        await readCsvEntry(zip, "calendar.txt", r => calendar.push({
+          service_id: ns(r.service_id),
+          monday: Number(r.monday||0), tuesday: Number(r.tuesday||0), wednesday: Number(r.wednesday||0),
+          thursday: Number(r.thursday||0), friday: Number(r.friday||0), saturday: Number(r.saturday||0),
+          sunday: Number(r.sunday||0),
+          start_date: r.start_date, end_date: r.end_date
+        }));
+        await readCsvEntry(zip, "calendar_dates.txt", r => calendar_dates.push({
+          service_id: ns(r.service_id),
+          date: r.date,
+          exception_type: Number(r.exception_type||0)
+        }));
+
+        // trip_id -> route_id の辞書（stop_times 分割用。キーは元の trip_id、値は prefix 付きの route_id）
+        const tripToRoute = new Map(feedTrips.map(t => [t.trip_id, ns(t.route_id)]));
+        await readCsvEntry(zip, "stop_times.txt", r => {
+          const rid = tripToRoute.get(r.trip_id);
+          if (!rid) { orphanRows++; return; } // 孤立データは無視（件数は index.json に残して検査で報告）
+          if (routeAllowed && !routeAllowed.has(String(rid))) return;
+          const row = projectRow(r, KEEP.stop_times, ["stop_sequence"]);
+          spool.add(rid, { ...row, trip_id: ns(row.trip_id), stop_id: ns(row.stop_id) });
+        });
+        spool.flush();
+        if (feeds.length > 1) {
+          console.log(`[make-static-json] feed ${label}: routes=${feedRoutes.length}, trips=${feedTrips.length}, stops=${feedStops.length}, agencies=${feedAgencies.length}`);
+        }
+      } finally {
+        zip.close();
+      }
+    }
 
-  // まず必要列に絞る + 型
-  const slim = projectRows(stRows, KEEP.stop_times, ["stop_sequence"]);
+    ensureDir(DOCS_DIR);
+    writeJson(path.join(DOCS_DIR, "stops.json"), stops);
+    writeJson(path.join(DOCS_DIR, "routes.json"), routes);
+    writeJson(path.join(DOCS_DIR, "trips.json"), trips);
+    writeJson(path.join(DOCS_DIR, "agencies.json"), agencies);
+    writeJson(path.join(DOCS_DIR, "calendar.json"), calendar);
+    writeJson(path.join(DOCS_DIR, "calendar_dates.json"), calendar_dates);
+
+    // 訳は言語ごと。キーの順を固定して差分を小さくする
+    fs.rmSync(path.join(DOCS_DIR, I18N_DIR_REL), { recursive: true, force: true });
+    for (const [lang, names] of byLang) {
+      const sorted = Object.fromEntries([...names].sort(([a], [b]) => a.localeCompare(b)));
+      writeJson(path.join(DOCS_DIR, I18N_DIR_REL, `${lang}.json`), { language: lang, names: sorted });
+    }
 
-  // route_id 付与 → グループ化
-  /** @type {Record<string, any[]>} */
-  const byRoute = {};
-  for (const r of slim) {
-    const rid = tripToRoute.get(r.trip_id);
-    if (!rid) continue; // 孤立データは無視
-    if (routeAllowed && !routeAllowed.has(String(rid))) continue;
-    (byRoute[rid] ||= []).push(r);
-  }
+    // 経路は路線ごとの点数の予算に収まるよう間引く（前回の出力は消してから書く）
+    fs.rmSync(path.join(DOCS_DIR, SHAPES_DIR_REL), { recursive: true, force: true });
+    const simplified = simplifyShapesByRoute(shapes, routesByShape);
+    let shapePoints = 0;
+    for (const [sid, { points, tolerance_m }] of simplified) {
+      writeJson(path.join(DOCS_DIR, SHAPES_DIR_REL, shapeFileOf(sid)), { shape_id: sid, tolerance_m, points });
+      shapePoints += points.length;
+    }
 
-  // 各ルートファイルを書き出し（時刻昇順＆trip_idで安定ソート）
-  ensureDir(STOP_TIMES_OUT_DIR);
-  for (const [rid, arr] of Object.entries(byRoute)) {
-    arr.sort((a, b) => {
-      // HH:MM:SS を比較
-      const aT = (a.departure_time || a.arrival_time || "00:00:00").split(":").map(Number);
-      const bT = (b.departure_time || b.arrival_time || "00:00:00").split(":").map(Number);
-      const aS = aT[0] * 3600 + aT[1] * 60 + (aT[2] || 0);
-      const bS = bT[0] * 3600 + bT[1] * 60 + (bT[2] || 0);
-      if (aS !== bS) return aS - bS;
-      if (a.trip_id !== b.trip_id) return String(a.trip_id).localeCompare(String(b.trip_id));
-      return a.stop_sequence - b.stop_sequence;
-    });
-    const outPath = path.join(STOP_TIMES_OUT_DIR, `${rid}.json`);
-    writeJson(outPath, arr);
+    // 運賃（運賃の表がどの事業者にも無ければ前回の出力を消す）
+    const faresPath = path.join(DOCS_DIR, "fares.json");
+    const faresJson = feedFares.length ? buildFaresJson(feedFares) : null;
+    if (faresJson) writeJson(faresPath, faresJson);
+    else fs.rmSync(faresPath, { force: true });
+
+    // 事業者をまたぐ同じ場所の停留所（単一事業者なら前回の出力を消す）
+    const stopLinksPath = path.join(DOCS_DIR, "stop_links.json");
+    const stopLinks = feeds.length > 1 ? linkStops(stopsByFeed) : null;
+    if (stopLinks) writeJson(stopLinksPath, stopLinks);
+    else fs.rmSync(stopLinksPath, { force: true });
+
+    // 各ルートファイルを書き出し（時刻昇順＆trip_idで安定ソート）。
+    // 前回の出力は消してから書く（形式や route_id の prefix が変わったときに古いファイルを公開し続けないように）
+    fs.rmSync(STOP_TIMES_OUT_DIR, { recursive: true, force: true });
+    ensureDir(STOP_TIMES_OUT_DIR);
+    const index = [];
+    /** @type {Record<string, Set<string>>} */
+    const routesByStop = {};
+    let rowCount = 0;
+    for (const rid of spool.routeIds) {
+      const arr = spool.take(rid);
+      arr.sort((a, b) => {
+        const aS = parseGtfsTime(a.departure_time || a.arrival_time) ?? 0;
+        const bS = parseGtfsTime(b.departure_time || b.arrival_time) ?? 0;
+        if (aS !== bS) return aS - bS;
+        if (a.trip_id !== b.trip_id) return String(a.trip_id).localeCompare(String(b.trip_id));
+        return a.stop_sequence - b.stop_sequence;
+      });
+      // prefix 付きの路線は事業者ごとのサブディレクトリへ（ファイル名に ":" を使わない）
+      const fileRel = `${String(rid).replace(":", "/")}.json`;
+      const outPath = path.join(STOP_TIMES_OUT_DIR, fileRel);
+      writeJson(outPath, formatVersion === 2 ? encodeCompactPartition(rid, arr) : arr);
+      index.push({ route_id: rid, file: path.posix.join(STOP_TIMES_DIR_REL, "by_route", fileRel), count: arr.length });
+      // stop_id -> 停車する route_id 一覧（盤面が必要なパーティションだけ取得するための索引）
+      for (const r of arr) (routesByStop[r.stop_id] ||= new Set()).add(String(rid));
+      rowCount += arr.length;
+    }
+    index.sort((a, b) => String(a.route_id).localeCompare(String(b.route_id), undefined, { numeric: true }));
+    writeJson(path.join(DOCS_DIR, STOP_TIMES_DIR_REL, "index.json"), { format_version: formatVersion, orphan_rows: orphanRows, routes: index });
+
+    const stopRoutes = Object.fromEntries(
+      Object.entries(routesByStop).map(([sid, set]) => [sid, [...set].sort()])
+    );
+    writeJson(path.join(DOCS_DIR, STOP_TIMES_DIR_REL, "stop_routes.json"), stopRoutes);
+
+    // 軽いサマリ
+    console.log(`[make-static-json] routes=${routes.length}, trips=${trips.length}, stops=${stops.length}, agencies=${agencies.length}`);
+    console.log(`[make-static-json] stop_times: ${rowCount} rows -> ${index.length} files in ${STOP_TIMES_OUT_DIR} (format ${formatVersion}, orphan rows ${orphanRows})`);
+    console.log(`[make-static-json] stop_routes: ${Object.keys(stopRoutes).length} stops`);
+    console.log(`[make-static-json] calendar=${calendar.length}, calendar_dates=${calendar_dates.length}`);
+    console.log(translationRows < 0
+      ? "[make-static-json] translations.txt: none"
+      : `[make-static-json] translations: ${[...byLang].map(([lang, names]) => `${lang}=${names.size}`).join(", ") || "no matching names"} (${translationRows} rows)`);
+    if (shapes.size) console.log(`[make-static-json] shapes: ${simplified.size} files, ${shapePoints} points (budget ${SHAPE_POINT_BUDGET} per route)`);
+    console.log(faresJson
+      ? `[make-static-json] fares: ${faresJson.sources.join("+")}, ${Object.keys(faresJson.routes).length} routes, ${faresJson.tables.length} tables, ${faresJson.prices.length} price sets, ${faresJson.variants.length} variants`
+        + ` (rules ${feedFares.reduce((n, f) => n + f.rules, 0)}, skipped ${feedFares.reduce((n, f) => n + f.skipped, 0)})`
+      : "[make-static-json] fares: none");
+    if (stopLinks) console.log(`[make-static-json] stop_links: ${Object.keys(stopLinks).length} stops linked across ${feeds.length} feeds`);
+  } finally {
+    fs.rmSync(spoolDir, { recursive: true, force: true });
   }
-
-  // 軽いサマリ
-  const routeCount = Object.keys(byRoute).length;
-  const rowCount = Object.values(byRoute).reduce((s, a) => s + a.length, 0);
-  console.log(`[make-static-json] routes=${routes.length}, trips=${trips.length}, stops=${stops.length}`);
-  console.log(`[make-static-json] stop_times: ${rowCount} rows -> ${routeCount} files in ${STOP_TIMES_OUT_DIR}`);
 })().catch(err => {
   console.error(err);
   process.exit(1);
@@ -0,0 +1,91 @@
+// scripts/make-timetables.mjs
+// 区間ごとの 1 日分の時刻表を静的ファイルに書き出す（盤面の「時刻表」と同じ描画を docs/lib/timetable.mjs で行う）。
+// make-static-json.mjs の出力（DOCS_DIR）を読むので、その後に実行する。
+// 使い方:
+//   node scripts/make-timetables.mjs [--pairs 260_1:434_5,434_5:260_1] [--date 20250812]
+//   # または環境変数 TIMETABLE_PAIRS。--date の日に有効な calendar から 平日／土曜／休日 などのパターンを作る
+// 出力: docs/timetables/<from>_<to>.html（印刷向け。パターンごとに 1 表。ID の ":" は "-"）と同名の .csv
+import fs from "node:fs";
+import path from "node:path";
+import { loadFeed, fileFetcher, todayYmdJst } from "../docs/lib/engine.mjs";
+import { renderTimetableHtml, renderTimetableCsv } from "../docs/lib/timetable.mjs";
+
+// ---------- 設定 ----------
+const DOCS_DIR = process.env.DOCS_DIR || "docs";
+const OUT_DIR = path.join(DOCS_DIR, "timetables");
+const DEFAULT_PAIRS = "260_1:434_5";   // index.html の既定の区間
+
+// ---------- 引数 ----------
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const pairs = String(args.get("pairs") || process.env.TIMETABLE_PAIRS || DEFAULT_PAIRS)
+  .split(",").map(s => s.trim()).filter(Boolean)
+  .map(s => {
+    const [from, to] = s.split(":");
+    if (!from || !to) throw new Error(`区間の指定が不正です: ${s}（乗車:降車 の形で指定してください）`);
+    return { from, to };
+  });
+const ymd = String(args.get("date") || todayYmdJst());
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, ch => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[ch]);
+
+function renderDocument(title, sections) {
+  const body = sections.map(s => `<section>${renderTimetableHtml(s.legs, { caption: s.label })}</section>`).join("\n");
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <style>
+    body { font-family: 'Noto Sans JP', Arial, sans-serif; margin: 1em; color: #222; }
+    h1 { font-size: 1.2em; }
+    .note { color: #666; font-size: .85em; }
+    section { break-inside: avoid; margin-bottom: 1.5em; }
+    .timetable { border-collapse: collapse; width: 100%; max-width: 40em; }
+    .timetable caption { text-align: left; font-weight: bold; padding: .3em 0; }
+    .timetable th, .timetable td { border: 1px solid #999; padding: .2em .4em; }
+    .timetable tbody th { width: 2.5em; text-align: right; background: #f0f0f0; }
+    .tt-min { display: inline-block; min-width: 2.2em; }
+    .tt-min small { font-size: .7em; }
+    .tt-legend { font-size: .85em; padding-left: 1.2em; }
+    @media print { body { margin: 0; } .note { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="note">${escapeHtml(ymd)} 時点の時刻表から作成。祝日や特定日のダイヤはバス停の掲示を確認してください。</p>
+  ${body}
+</body>
+</html>
+`;
+}
+
+// ---------- メイン ----------
+(async () => {
+  const feed = await loadFeed(fileFetcher(DOCS_DIR));
+  const patterns = feed.servicePatterns(ymd);
+  if (!patterns.length) throw new Error(`${ymd} に有効な calendar がありません。make-static-json.mjs の出力を確認してください。`);
+  const stopName = (id) => feed.stops.find(s => s.stop_id === id)?.stop_name ?? id;
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  for (const { from, to } of pairs) {
+    const sections = [];
+    for (const p of patterns) {
+      sections.push({ label: p.label, legs: await feed.timetable({ from, to, serviceIds: p.service_ids }) });
+    }
+    const base = path.join(OUT_DIR, `${from}_${to}`.replace(/:/g, "-"));   // 他事業者の ID（"tokyu:5_1"）はファイル名に ":" を使わない
+    fs.writeFileSync(`${base}.html`, renderDocument(`${stopName(from)} → ${stopName(to)} 時刻表`, sections));
+    fs.writeFileSync(`${base}.csv`, renderTimetableCsv(sections));
+    console.log(`[make-timetables] ${from} -> ${to}: ${sections.map(s => `${s.label}=${s.legs.length}`).join(", ")}`);
+  }
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,280 @@
+// scripts/validate-static.mjs
+// make-static-json.mjs の出力を検査し、前回公開分との差分と合わせて docs/feed_meta.json に書き出す。
+// 使い方:
+//   node scripts/validate-static.mjs [--prev path/to/previous/docs] [--out docs/feed_meta.json] [--today 20250812]
+//   # 出力先は DOCS_DIR（既定 docs）。--prev が無ければ差分は null
+//   errors があれば終了コード 1（ワークフローは公開しない）。warnings は表示するだけ。
+//
+// feed_meta.json（schema_version 1）:
+//   {
+//     schema_version: 1,
+//     feed_version: "3f9a1c0d2b7e",     // 静的ファイル一式の内容ハッシュ（sw.js がキャッシュの世代に使う）
+//     generated_at: "2025-08-12T18:10:00.000Z",
+//     validity: { start_date: "20250401", end_date: "20260401" } | null,   // calendar / calendar_dates の運行日の範囲
+//     counts: { routes, trips, stops, stop_times },
+//     errors:   [{ code, message, count, samples: [...] }],   // 参照切れなど、公開すべきでないもの
+//     warnings: [{ code, message, count, samples: [...] }],   // 期限切れ間近・路線の削除など
+//     diff: null | {
+//       routes: { added: [route_id...], removed: [...] },
+//       stops:  { added_count, removed_count, added: [stop_id...], removed: [...] },  // 一覧は先頭 DIFF_SAMPLES 件まで
+//       trips:  { added_count, removed_count, added: [...], removed: [...] },
+//       stop_times: [{ route_id, before, after }]             // 行数が変わった路線だけ（stop_times/index.json の count）
+//     }
+//   }
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { feedDateRange, feedValidity, todayYmdJst, decodeStopTimesPartition, shapeFileOf } from "../docs/lib/engine.mjs";
+
+// ---------- 設定 ----------
+const DOCS_DIR = process.env.DOCS_DIR || "docs";
+const ISSUE_SAMPLES = 10;   // errors / warnings に載せる例の件数
+const DIFF_SAMPLES = 50;    // 差分一覧に載せる ID の件数
+
+// ---------- 引数 ----------
+const args = new Map(process.argv.slice(2).map((a, i, arr) => {
+  if (a.startsWith("--")) {
+    const k = a.replace(/^--/, "");
+    const v = arr[i + 1] && !arr[i + 1].startsWith("--") ? arr[i + 1] : true;
+    return [k, v];
+  }
+  return [a, true];
+}));
+const prevDir = args.get("prev") || process.env.PREV_DOCS_DIR || "";
+const outFile = args.get("out") || path.join(DOCS_DIR, "feed_meta.json");
+const today = args.get("today") || todayYmdJst();
+
+// ---------- ユーティリティ ----------
+function readJsonOrNull(p) {
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch {
+    return null;
+  }
+}
+function readJson(p) {
+  const v = readJsonOrNull(p);
+  if (v == null) throw new Error(`${p} が読めません。先に make-static-json.mjs を実行してください。`);
+  return v;
+}
+
+// DOCS_DIR 配下のディレクトリのファイル名（名前順。無ければ空）
+function listDir(rel) {
+  try {
+    return fs.readdirSync(path.join(DOCS_DIR, rel)).sort();
+  } catch {
+    return [];
+  }
+}
+
+// stop_times/index.json：旧形式は配列、現行は { format_version, orphan_rows, routes }
+function readStopTimesIndex(dir) {
+  const raw = readJsonOrNull(path.join(dir, "stop_times", "index.json"));
+  if (Array.isArray(raw)) return { format_version: 1, orphan_rows: 0, routes: raw };
+  if (raw && Array.isArray(raw.routes)) return { format_version: Number(raw.format_version) || 1, orphan_rows: Number(raw.orphan_rows) || 0, routes: raw.routes };
+  return null;
+}
+
+// trips.json が参照する経路ファイル（shapes/ 配下の相対パス、重複なし）
+const shapeFilesOf = (trips) => [...new Set(trips.map(t => t.shape_id).filter(Boolean))].sort().map(id => `shapes/${shapeFileOf(id)}`);
+
+// 盤面が読む静的ファイル一式の内容ハッシュ。どれか 1 つでも変われば別の版になる
+function computeFeedVersion(stopTimesIndex, trips) {
+  const files = [
+    "stops.json", "routes.json", "trips.json", "calendar.json", "calendar_dates.json",
+    "stop_times/index.json", "stop_times/stop_routes.json", "agencies.json", "stop_links.json", "fares.json",
+    ...(stopTimesIndex?.routes ?? []).map(e => e.file),
+    ...listDir("i18n").map(f => `i18n/${f}`),
+    ...shapeFilesOf(trips),
+  ];
+  const hash = crypto.createHash("sha256");
+  for (const f of files) {
+    hash.update(f + "\0");
+    try { hash.update(fs.readFileSync(path.join(DOCS_DIR, f))); } catch { hash.update("-"); }
+  }
+  return hash.digest("hex").slice(0, 12);
+}
+
+// 問題の集計（同じ code は 1 件にまとめ、例は ISSUE_SAMPLES 件まで）
+function createIssueList() {
+  /** @type {Map<string, {code:string, message:string, count:number, samples:string[]}>} */
+  const byCode = new Map();
+  return {
+    add(code, message, sample) {
+      const issue = byCode.get(code) ?? { code, message, count: 0, samples: [] };
+      issue.count++;
+      if (sample != null && issue.samples.length < ISSUE_SAMPLES) issue.samples.push(String(sample));
+      byCode.set(code, issue);
+    },
+    list: () => [...byCode.values()],
+  };
+}
+
+function setDiff(before, after) {
+  const added = [...after].filter(id => !before.has(id)).sort();
+  const removed = [...before].filter(id => !after.has(id)).sort();
+  return { added, removed };
+}
+function sampledDiff(before, after) {
+  const { added, removed } = setDiff(before, after);
+  return { added_count: added.length, removed_count: removed.length, added: added.slice(0, DIFF_SAMPLES), removed: removed.slice(0, DIFF_SAMPLES) };
+}
+
+// ---------- 検査 ----------
+function checkIntegrity({ stops, routes, trips, calendar, calendar_dates, stopTimesIndex, agencies, stopLinks, fares }, errors, warnings) {
+  const stopIds = new Set(stops.map(s => s.stop_id));
+  const routeIds = new Set(routes.map(r => r.route_id));
+  const tripIds = new Set(trips.map(t => t.trip_id));
+
+  for (const t of trips) {
+    if (!routeIds.has(t.route_id)) errors.add("trip_route_missing", "trips.json の route_id が routes.json にありません", `${t.trip_id} → ${t.route_id}`);
+  }
+  // 事業者（agencies.json が無い旧い出力では調べない）と、事業者をまたぐ停留所の対応
+  if (agencies) {
+    const agencyIds = new Set(agencies.map(a => a.agency_id));
+    for (const r of routes) {
+      if (!agencyIds.has(r.agency_id ?? "")) warnings.add("route_agency_missing", "routes.json の agency_id が agencies.json にありません", `${r.route_id} → ${r.agency_id}`);
+    }
+  }
+  for (const [sid, linked] of Object.entries(stopLinks ?? {})) {
+    for (const id of [sid, ...linked]) {
+      if (!stopIds.has(id)) errors.add("stop_link_missing", "stop_links.json の stop_id が stops.json にありません", id);
+    }
+  }
+  // 運賃（fares.json は運賃の表がある場合だけ）
+  if (fares) {
+    for (const [rid, ti] of Object.entries(fares.routes ?? {})) {
+      if (!routeIds.has(rid)) warnings.add("fare_route_missing", "fares.json の route_id が routes.json にありません", rid);
+      for (const pi of Object.values(fares.tables?.[ti] ?? {})) {
+        if (!fares.prices?.[pi]?.length) errors.add("fare_price_missing", "fares.json の運賃表が運賃の組を指していません", `${rid}: ${pi}`);
+      }
+    }
+    const fareRoutes = new Set(Object.keys(fares.routes ?? {}));
+    for (const r of routes) {
+      if (!fareRoutes.has(r.route_id)) warnings.add("route_fare_missing", "運賃の分からない路線があります", r.route_id);
+    }
+  }
+
+  // stop_times は 1 路線ずつ読む
+  let stopTimes = 0;
+  const tripsWithStopTimes = new Set();
+  for (const e of stopTimesIndex?.routes ?? []) {
+    const rows = decodeStopTimesPartition(readJsonOrNull(path.join(DOCS_DIR, e.file)), stopTimesIndex.format_version);
+    if (!rows.length) errors.add("partition_missing", "stop_times/index.json に載っている路線ファイルが読めません", e.file);
+    for (const r of rows) {
+      if (!tripIds.has(r.trip_id)) errors.add("stop_time_trip_missing", "stop_times の trip_id が trips.json にありません", `${e.route_id}: ${r.trip_id}`);
+      if (!stopIds.has(r.stop_id)) errors.add("stop_time_stop_missing", "stop_times の stop_id が stops.json にありません", `${r.trip_id}: ${r.stop_id}`);
+      tripsWithStopTimes.add(r.trip_id);
+    }
+    stopTimes += rows.length;
+  }
+  if (!stopTimesIndex) errors.add("stop_times_index_missing", "stop_times/index.json がありません");
+  if (stopTimesIndex?.orphan_rows) {
+    warnings.add("stop_times_orphan_rows", `trips.txt に無い trip_id の stop_times を ${stopTimesIndex.orphan_rows} 行読み飛ばしました`);
+  }
+  for (const t of trips) {
+    if (stopTimesIndex && !tripsWithStopTimes.has(t.trip_id)) warnings.add("trip_without_stop_times", "stop_times が 1 行も無い便があります", t.trip_id);
+  }
+  // 経路（盤面に出る便の shape_id だけ。無くても路線図を停留所の座標で描くので警告）
+  const shapeFiles = new Set(shapeFilesOf(trips.filter(t => tripsWithStopTimes.has(t.trip_id))));
+  for (const f of shapeFiles) {
+    if (!fs.existsSync(path.join(DOCS_DIR, f))) warnings.add("trip_shape_missing", "trips.json の shape_id の経路ファイルがありません", f);
+  }
+
+  // どの日にも走らない service_id
+  const coveredServices = new Set([
+    ...calendar.map(c => c.service_id),
+    ...calendar_dates.filter(d => Number(d.exception_type) === 1).map(d => d.service_id),
+  ]);
+  const uncovered = new Set(trips.map(t => t.service_id).filter(sid => !coveredServices.has(sid)));
+  for (const sid of uncovered) warnings.add("service_without_calendar", "calendar / calendar_dates に運行日が無い service_id があります", sid);
+
+  return { stopTimes };
+}
+
+function diffAgainstPrevious(dir, { stops, routes, trips, stopTimesIndex }) {
+  const prevStops = readJsonOrNull(path.join(dir, "stops.json"));
+  const prevRoutes = readJsonOrNull(path.join(dir, "routes.json"));
+  const prevTrips = readJsonOrNull(path.join(dir, "trips.json"));
+  if (!prevStops || !prevRoutes || !prevTrips) return null;
+
+  const countsBefore = new Map((readStopTimesIndex(dir)?.routes ?? []).map(e => [String(e.route_id), e.count]));
+  const countsAfter = new Map((stopTimesIndex?.routes ?? []).map(e => [String(e.route_id), e.count]));
+  const stopTimes = [...new Set([...countsBefore.keys(), ...countsAfter.keys()])]
+    .filter(rid => countsBefore.get(rid) !== countsAfter.get(rid))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(rid => ({ route_id: rid, before: countsBefore.get(rid) ?? 0, after: countsAfter.get(rid) ?? 0 }));
+
+  return {
+    routes: setDiff(new Set(prevRoutes.map(r => r.route_id)), new Set(routes.map(r => r.route_id))),
+    stops: sampledDiff(new Set(prevStops.map(s => s.stop_id)), new Set(stops.map(s => s.stop_id))),
+    trips: sampledDiff(new Set(prevTrips.map(t => t.trip_id)), new Set(trips.map(t => t.trip_id))),
+    stop_times: stopTimes,
+  };
+}
+
+// GitHub Actions 上ではアノテーション（::warning::）として出す
+function report(kind, issue) {
+  const line = `${issue.message}${issue.count > 1 ? `（${issue.count} 件）` : ""}${issue.samples.length ? ": " + issue.samples.join(", ") : ""}`;
+  if (process.env.GITHUB_ACTIONS) console.log(`::${kind === "errors" ? "error" : "warning"} title=${issue.code}::${line}`);
+  else console.log(`[validate-static] ${kind === "errors" ? "ERROR" : "WARN"} ${issue.code}: ${line}`);
+}
+
+// ---------- メイン ----------
+(async () => {
+  const feed = {
+    stops: readJson(path.join(DOCS_DIR, "stops.json")),
+    routes: readJson(path.join(DOCS_DIR, "routes.json")),
+    trips: readJson(path.join(DOCS_DIR, "trips.json")),
+    calendar: readJsonOrNull(path.join(DOCS_DIR, "calendar.json")) ?? [],
+    calendar_dates: readJsonOrNull(path.join(DOCS_DIR, "calendar_dates.json")) ?? [],
+    stopTimesIndex: readStopTimesIndex(DOCS_DIR),
+    agencies: readJsonOrNull(path.join(DOCS_DIR, "agencies.json")),
+    stopLinks: readJsonOrNull(path.join(DOCS_DIR, "stop_links.json")),
+    fares: readJsonOrNull(path.join(DOCS_DIR, "fares.json")),
+  };
+  const errors = createIssueList(), warnings = createIssueList();
+
+  const { stopTimes } = checkIntegrity(feed, errors, warnings);
+
+  const validity = feedDateRange(feed.calendar, feed.calendar_dates);
+  const status = feedValidity(validity, today);
+  if (!validity) errors.add("feed_no_service_days", "calendar / calendar_dates に運行日が 1 日もありません");
+  else if (status?.state === "expired") warnings.add("feed_expired", `時刻表の有効期限（${validity.end_date}）を過ぎています`);
+  else if (status?.state === "expiring") warnings.add("feed_expiring", `時刻表の有効期限（${validity.end_date}）まであと ${status.days_left} 日です`);
+  else if (status?.state === "not_started") warnings.add("feed_not_started", `時刻表の有効期間は ${validity.start_date} からです`);
+
+  const diff = prevDir ? diffAgainstPrevious(prevDir, feed) : null;
+  for (const rid of diff?.routes.removed ?? []) warnings.add("routes_removed", "前回の公開分から路線が無くなりました", rid);
+
+  const meta = {
+    schema_version: 1,
+    feed_version: computeFeedVersion(feed.stopTimesIndex, feed.trips),
+    generated_at: new Date().toISOString(),
+    validity,
+    counts: { routes: feed.routes.length, trips: feed.trips.length, stops: feed.stops.length, stop_times: stopTimes },
+    errors: errors.list(),
+    warnings: warnings.list(),
+    diff,
+  };
+  // generated_at 以外が前回と同じなら書き換えない（毎日の再ビルドで無駄なコミットを作らない）
+  const previous = readJsonOrNull(outFile);
+  const sameAsPrevious = previous && JSON.stringify({ ...previous, generated_at: undefined }) === JSON.stringify({ ...meta, generated_at: undefined });
+  if (!sameAsPrevious) {
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(meta, null, 2));
+  }
+
+  for (const issue of meta.errors) report("errors", issue);
+  for (const issue of meta.warnings) report("warnings", issue);
+  const c = meta.counts;
+  console.log(`[validate-static] routes=${c.routes}, trips=${c.trips}, stops=${c.stops}, stop_times=${c.stop_times}, valid ${validity?.start_date ?? "-"}..${validity?.end_date ?? "-"}, version ${meta.feed_version}`);
+  if (diff) {
+    console.log(`[validate-static] diff: routes +${diff.routes.added.length}/-${diff.routes.removed.length}, trips +${diff.trips.added_count}/-${diff.trips.removed_count}, stops +${diff.stops.added_count}/-${diff.stops.removed_count}, stop_times changed in ${diff.stop_times.length} routes`);
+  }
+  console.log(`${sameAsPrevious ? "No content change" : "Wrote"}: ${outFile} (errors=${meta.errors.length}, warnings=${meta.warnings.length})`);
+  if (meta.errors.length) process.exit(1);
+})().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+// test/engine.test.mjs
+// docs/lib/engine.mjs を小さなフィクスチャ（test/fixtures/mini-feed）で確かめる。npm test（node --test）で走る。
+// フィクスチャは test/fixtures/mini-gtfs/*.txt から作る。txt を変えたら作り直す:
+//   (cd test/fixtures/mini-gtfs && zip -qj /tmp/mini-gtfs.zip *.txt)
+//   DOCS_DIR=test/fixtures/mini-feed node scripts/make-static-json.mjs --zip /tmp/mini-gtfs.zip
+//
+// 停留所: 100（親）= のりば 100_1・100_2、200_1、300_1、400_1。運行日は 2025-08-01〜31 の毎日
+//   R1 直１: 100_1 → 200_1 → 300_1（08:00・08:30・09:00・09:30、深夜 24:20）
+//   R2 乗２: 100_2 08:05 → 200_1 08:15、R3 乗３: 200_1 08:20 → 400_1 08:35
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import fs from "node:fs/promises";
+import { loadFeed, fileFetcher, adaptRtSnakeToCamel, fareOf, feedValidity, toSecs } from "../docs/lib/engine.mjs";
+
+const FEED_DIR = fileURLToPath(new URL("./fixtures/mini-feed/", import.meta.url));
+const NOW = Date.parse("2025-08-12T07:50:00+09:00");
+const epoch = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+const openFeed = (now = NOW) => loadFeed(fileFetcher(FEED_DIR), { clock: () => now });
+
+// fetch-gtfsrt.mjs の出力と同じ形（snake_case）で書いて盤面と同じアダプタを通す
+function realtime(entity, now = NOW) {
+  return adaptRtSnakeToCamel({ header: { timestamp: Math.floor(now / 1000) }, entity });
+}
+const RT = realtime([
+  // 乗車停留所の遅れ（2 分）が降車停留所まで伝わる
+  { id: "1", trip_update: { trip: { trip_id: "R1_0800" }, stop_time_update: [{ stop_sequence: 1, departure: { delay: 120 } }] } },
+  { id: "2", trip_update: { trip: { trip_id: "R1_0830", schedule_relationship: "CANCELED" }, stop_time_update: [] } },
+  { id: "3", trip_update: { trip: { trip_id: "R1_0900" }, stop_time_update: [{ stop_sequence: 1, schedule_relationship: "SKIPPED" }] } },
+  { id: "4", trip_update: {
+    trip: { trip_id: "X_ADDED", route_id: "R1", schedule_relationship: "ADDED" },
+    stop_time_update: [
+      { stop_id: "100_1", stop_sequence: 1, departure: { time: epoch("2025-08-12T08:45:00+09:00") } },
+      { stop_id: "300_1", stop_sequence: 3, arrival: { time: epoch("2025-08-12T09:05:00+09:00") } },
+    ],
+  } },
+]);
+
+test("departures: 遅れの伝播・運休・通過・臨時便を時刻表に重ねる", async () => {
+  const feed = await openFeed();
+  const legs = await feed.departures({ from: "100_1", to: "300_1", rt: RT });
+  const byTrip = new Map(legs.map(l => [l.trip_id, l]));
+
+  const delayed = byTrip.get("R1_0800");
+  assert.equal(delayed?.live_departure, toSecs("08:02:00"));
+  assert.equal(delayed?.delay_departure_sec, 120);
+  assert.equal(delayed?.live_arrival, toSecs("08:22:00"));
+
+  assert.equal(byTrip.get("R1_0830")?.status, "CANCELED");
+  assert.equal(byTrip.get("R1_0830")?.live_departure, undefined);
+  assert.equal(byTrip.get("R1_0900")?.status, "SKIPPED_ORIGIN");
+
+  const added = byTrip.get("X_ADDED");
+  assert.equal(added?.added, true);
+  assert.equal(added?.live_departure, toSecs("08:45:00"));
+  assert.equal(added?.live_arrival, toSecs("09:05:00"));
+
+  assert.equal(byTrip.get("R1_0930")?.live_departure, undefined);
+  // 予測時刻（無ければ時刻表）の発車順
+  assert.deepEqual(legs.map(l => l.trip_id).filter(id => id !== "R1_LATE"), ["R1_0800", "R1_0830", "X_ADDED", "R1_0900", "R1_0930"]);
+});
+
+test("departures: リアルタイム情報が古すぎれば時刻表どおり", async () => {
+  const feed = await openFeed();
+  const old = { ...RT, entity: RT?.entity ?? [], updatedAt: Math.floor(NOW / 1000) - 3 * 3600 };
+  assert.equal(feed.realtimeFreshness(old), "missing");
+  const legs = await feed.departures({ from: "100_1", to: "300_1", rt: old });
+  assert.ok(legs.every(l => l.live_departure == null && !l.status && !l.added));
+});
+
+test("pairIndex: 親停留所はのりばをまとめて扱う", async () => {
+  const feed = await openFeed();
+  const { idx, alias } = await feed.pairIndex({ from: "100", to: "300_1" });
+  assert.deepEqual(alias["100"], ["100_1", "100_2"]);
+  assert.ok(idx.stopTimesByStop.has("100"));
+  assert.ok(!idx.stopTimesByStop.has("100_1"));
+
+  const legs = await feed.departures({ from: "100", to: "300_1" });
+  assert.ok(legs.length > 0);
+  assert.ok(legs.every(l => l.origin_stop_id === "100" && l.route_id === "R1"));
+
+  await assert.rejects(feed.pairIndex({ from: "999", to: "300_1" }), /停留所 999 が見つかりません/);
+});
+
+test("journeys: 起点・終点の路線を乗り継ぐ経路（乗換 1 回）", async () => {
+  const feed = await openFeed();
+  const [first] = await feed.journeys({ from: "100", to: "400_1" });
+  assert.equal(first?.transfers, 1);
+  assert.equal(first?.arrival, toSecs("08:35:00"));
+  const rides = first?.legs.filter(l => l.kind === "ride") ?? [];
+  assert.equal(rides.length, 2);
+  assert.equal(rides[0].to_stop_id, "200_1");
+  assert.equal(rides[1].trip_id, "R3_0820");
+  assert.equal(rides[1].route_label, "乗３");
+});
+
+test("journeys: 乗り継ぐ便が運休なら経路は無い", async () => {
+  const feed = await openFeed();
+  const rt = realtime([{ id: "c", trip_update: { trip: { trip_id: "R3_0820", schedule_relationship: "CANCELED" }, stop_time_update: [] } }]);
+  assert.deepEqual(await feed.journeys({ from: "100", to: "400_1", rt }), []);
+});
+
+test("fareOf: 区域の組で運賃を引き、親停留所はのりばの区域を使う", async () => {
+  const fares = JSON.parse(await fs.readFile(new URL("./fixtures/mini-feed/fares.json", import.meta.url), "utf8"));
+  const alias = { "100": ["100_1", "100_2"] };
+  assert.equal(fareOf(fares, "R1", "100_1", "300_1")?.prices[0].amount, 220);
+  assert.equal(fareOf(fares, "R1", "100", "200_1", alias)?.prices[0].amount, 180);
+  assert.equal(fareOf(fares, "R2", "100_2", "200_1")?.prices[0].amount, 210);   // 区域を問わない規則
+  assert.equal(fareOf(fares, "R1", "300_1", "100_1"), null);                     // 規則の無い向き
+  assert.equal(fareOf(fares, "R9", "100_1", "300_1"), null);
+  assert.equal(fareOf(null, "R1", "100_1", "300_1"), null);
+
+  const feed = await openFeed();
+  const legs = await feed.departures({ from: "100", to: "300_1" });
+  assert.ok(legs.every(l => l.fare?.prices[0].amount === 220 && !l.fare_differs));
+});
+
+test("feedValidity: 有効期限の状態と残り日数", async () => {
+  const range = { start_date: "20250801", end_date: "20250831" };
+  assert.deepEqual(feedValidity(range, "20250810"), { state: "ok", start_date: "20250801", end_date: "20250831", days_left: 21 });
+  assert.equal(feedValidity(range, "20250820")?.state, "expiring");
+  assert.equal(feedValidity(range, "20250831")?.days_left, 0);
+  assert.equal(feedValidity(range, "20250901")?.state, "expired");
+  assert.equal(feedValidity(range, "20250731")?.state, "not_started");
+  assert.equal(feedValidity(null, "20250810"), null);
+
+  const feed = await openFeed();
+  assert.deepEqual(feed.validity(), { state: "ok", start_date: "20250801", end_date: "20250831", days_left: 19 });
+});
@@ -0,0 +1,222 @@
+// test/gtfs-zip.test.mjs
+// scripts/lib/gtfs-zip.mjs（ZIP の読み出し）と docs/lib/csv.mjs の逐次パーサ。
+// ZIP はテストの中で小さく組み立てる（ZIP64 の EOCD・データディスクリプタ・CRC の食い違いを作り分けるため）。
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { openZip, readCsvEntry } from "../scripts/lib/gtfs-zip.mjs";
+import { createCsvRowParser, parseCsv } from "../docs/lib/csv.mjs";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "gtfs-zip-test-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+const STOPS = "stop_id,stop_name\r\n100_1,\"駅前\r\n1番のりば\"\r\n200_1,\"市役所 \"\"北\"\"\"\r\n";
+const STOPS_ROWS = [
+  { stop_id: "100_1", stop_name: "駅前\r\n1番のりば" },
+  { stop_id: "200_1", stop_name: "市役所 \"北\"" },
+];
+
+/**
+ * @typedef {Object} FileSpec
+ * @property {string} name
+ * @property {string} text
+ * @property {boolean} [deflate]
+ * @property {boolean} [descriptor]   一般フラグ bit 3（ローカルヘッダの CRC・サイズは 0、本体の後ろにディスクリプタ）
+ * @property {number} [crc]           中央ディレクトリに書く CRC-32（食い違いを作る用）
+ * @property {number} [size]          中央ディレクトリに書く非圧縮サイズ（同上）
+ */
+
+/**
+ * ZIP を組み立てる。zip64 なら EOCD の値を飽和させ、ZIP64 EOCD・ロケータと拡張フィールドに実値を置く。
+ * @param {FileSpec[]} files
+ * @param {{ zip64?: boolean }} [opts]
+ */
+function buildZip(files, { zip64 = false } = {}) {
+  const parts = [], cen = [];
+  let off = 0;
+  const put = (b) => { parts.push(b); off += b.length; };
+  for (const f of files) {
+    const name = Buffer.from(f.name);
+    const raw = Buffer.from(f.text);
+    const body = f.deflate ? zlib.deflateRawSync(raw) : raw;
+    const crc = zlib.crc32(raw);
+    const flags = f.descriptor ? 8 : 0;
+    const method = f.deflate ? 8 : 0;
+    const localOff = off;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    if (!f.descriptor) {
+      local.writeUInt32LE(crc, 14);
+      local.writeUInt32LE(body.length, 18);
+      local.writeUInt32LE(raw.length, 22);
+    }
+    local.writeUInt16LE(name.length, 26);
+    put(Buffer.concat([local, name, body]));
+    if (f.descriptor) {
+      const dd = Buffer.alloc(16);
+      dd.writeUInt32LE(0x08074b50, 0);
+      dd.writeUInt32LE(crc, 4);
+      dd.writeUInt32LE(body.length, 8);
+      dd.writeUInt32LE(raw.length, 12);
+      put(dd);
+    }
+
+    const sizes = [f.size ?? raw.length, body.length, localOff];
+    const extra = Buffer.alloc(zip64 ? 4 + 24 : 0);
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      sizes.forEach((v, i) => extra.writeBigUInt64LE(BigInt(v), 4 + i * 8));
+    }
+    const c = Buffer.alloc(46);
+    c.writeUInt32LE(0x02014b50, 0);
+    c.writeUInt16LE(zip64 ? 45 : 20, 4);
+    c.writeUInt16LE(zip64 ? 45 : 20, 6);
+    c.writeUInt16LE(flags, 8);
+    c.writeUInt16LE(method, 10);
+    c.writeUInt32LE((f.crc ?? crc) >>> 0, 16);
+    c.writeUInt32LE(zip64 ? 0xffffffff : body.length, 20);
+    c.writeUInt32LE(zip64 ? 0xffffffff : sizes[0], 24);
+    c.writeUInt16LE(name.length, 28);
+    c.writeUInt16LE(extra.length, 30);
+    c.writeUInt32LE(zip64 ? 0xffffffff : localOff, 42);
+    cen.push(Buffer.concat([c, name, extra]));
+  }
+
+  const cd = Buffer.concat(cen);
+  const cdOff = off;
+  put(cd);
+  if (zip64) {
+    const z64Off = off;
+    const z = Buffer.alloc(56);
+    z.writeUInt32LE(0x06064b50, 0);
+    z.writeBigUInt64LE(44n, 4);
+    z.writeUInt16LE(45, 12);
+    z.writeUInt16LE(45, 14);
+    z.writeBigUInt64LE(BigInt(files.length), 24);
+    z.writeBigUInt64LE(BigInt(files.length), 32);
+    z.writeBigUInt64LE(BigInt(cd.length), 40);
+    z.writeBigUInt64LE(BigInt(cdOff), 48);
+    put(z);
+    const loc = Buffer.alloc(20);
+    loc.writeUInt32LE(0x07064b50, 0);
+    loc.writeBigUInt64LE(BigInt(z64Off), 8);
+    loc.writeUInt32LE(1, 16);
+    put(loc);
+  }
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 8);
+  eocd.writeUInt16LE(zip64 ? 0xffff : files.length, 10);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : cd.length, 12);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : cdOff, 16);
+  put(eocd);
+  return Buffer.concat(parts);
+}
+
+let seq = 0;
+/** @param {Buffer} buf */
+async function openBuffer(buf) {
+  const file = path.join(TMP, `t${seq++}.zip`);
+  fs.writeFileSync(file, buf);
+  return openZip(file);
+}
+
+/** @param {Awaited<ReturnType<typeof openZip>>} zip @param {string} name */
+async function rowsOf(zip, name) {
+  const rows = [];
+  const n = await readCsvEntry(zip, name, r => rows.push(r));
+  return { n, rows };
+}
+
+test("openZip/readCsvEntry: 無圧縮と deflate のエントリを行に分ける（サブディレクトリ・大小は無視）", async () => {
+  const zip = await openBuffer(buildZip([
+    { name: "feed/Stops.txt", text: STOPS },
+    { name: "routes.txt", text: "route_id\nR1\nR2", deflate: true },
+  ]));
+  try {
+    assert.deepEqual(zip.entries.map(e => [e.name, e.method]), [["feed/Stops.txt", 0], ["routes.txt", 8]]);
+    assert.deepEqual(await rowsOf(zip, "stops.txt"), { n: 2, rows: STOPS_ROWS });
+    assert.deepEqual(await rowsOf(zip, "routes.txt"), { n: 2, rows: [{ route_id: "R1" }, { route_id: "R2" }] });
+    assert.equal(await readCsvEntry(zip, "shapes.txt", () => {}), -1);
+  } finally {
+    zip.close();
+  }
+});
+
+test("openZip: ZIP64 の EOCD・ロケータと拡張フィールドから位置とサイズを読む", async () => {
+  const zip = await openBuffer(buildZip([
+    { name: "agency.txt", text: "agency_id\nA\n" },
+    { name: "stops.txt", text: STOPS, deflate: true },
+  ], { zip64: true }));
+  try {
+    const e = zip.find("stops.txt");
+    assert.equal(e?.uncompSize, Buffer.byteLength(STOPS));
+    assert.ok(e && e.localHdrOff > 0 && e.compSize < 0xffffffff);
+    assert.deepEqual((await rowsOf(zip, "stops.txt")).rows, STOPS_ROWS);
+    assert.deepEqual((await rowsOf(zip, "agency.txt")).rows, [{ agency_id: "A" }]);
+  } finally {
+    zip.close();
+  }
+
+  // 値が飽和しているのにロケータが無い
+  const broken = buildZip([{ name: "a.txt", text: "x\n1\n" }], { zip64: true });
+  const eocd = broken.subarray(broken.length - 22);
+  const noLocator = Buffer.concat([broken.subarray(0, broken.length - 22 - 20 - 56), eocd]);
+  await assert.rejects(openBuffer(noLocator), /ZIP64 EOCD ロケータが見つかりません/);
+});
+
+test("readCsvEntry: データディスクリプタ付き（bit 3）は中央ディレクトリのサイズで読む", async () => {
+  const zip = await openBuffer(buildZip([
+    { name: "stops.txt", text: STOPS, deflate: true, descriptor: true },
+    { name: "trips.txt", text: "trip_id\nT1\n", descriptor: true },
+  ]));
+  try {
+    assert.equal(zip.find("stops.txt")?.flags, 8);
+    assert.deepEqual((await rowsOf(zip, "stops.txt")).rows, STOPS_ROWS);
+    assert.deepEqual((await rowsOf(zip, "trips.txt")).rows, [{ trip_id: "T1" }]);
+  } finally {
+    zip.close();
+  }
+});
+
+test("readCsvEntry: CRC-32 やサイズが中央ディレクトリと食い違えば失敗する", async () => {
+  const zip = await openBuffer(buildZip([
+    { name: "crc.txt", text: "a\n1\n", deflate: true, crc: 0x12345678 },
+    { name: "size.txt", text: "a\n1\n", size: 99 },
+  ]));
+  try {
+    await assert.rejects(readCsvEntry(zip, "crc.txt", () => {}), /crc\.txt の CRC-32 が一致しません/);
+    await assert.rejects(readCsvEntry(zip, "size.txt", () => {}), /size\.txt のサイズが一致しません（4 \/ 99）/);
+  } finally {
+    zip.close();
+  }
+});
+
+test("createCsvRowParser: 引用符内の改行・\"\"・CRLF の途中で断片が切れても同じ行になる", () => {
+  const text = "\ufeff" + STOPS + "\r\n300_1,終点";
+  const expected = [...STOPS_ROWS, { stop_id: "300_1", stop_name: "終点" }];
+  assert.deepEqual(parseCsv(text), expected);
+
+  // あらゆる位置で 2 つに切る（CR と LF の間、"" の間、引用符内の改行の間、BOM の直後を含む）
+  for (let i = 1; i < text.length; i++) {
+    const parser = createCsvRowParser();
+    const rows = [...parser.push(text.slice(0, i)), ...parser.push(text.slice(i)), ...parser.end()];
+    assert.deepEqual(rows, expected, `切れ目 ${i}`);
+  }
+
+  // 1 文字ずつ
+  const parser = createCsvRowParser();
+  const rows = [];
+  for (const ch of text) rows.push(...parser.push(ch));
+  rows.push(...parser.end());
+  assert.deepEqual(rows, expected);
+  assert.deepEqual(parser.header(), ["stop_id", "stop_name"]);
+});
@@ -0,0 +1,128 @@
+// test/gtfsrt-json.test.mjs
+// scripts/lib/gtfsrt-json.mjs（GTFS-RT → 公開用 JSON）と、それを盤面が読んだときの扱い。
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { convertFeedBuffer, mergeRealtimeJson, prefixRealtimeIds, validateRealtimeJson, RT_SCHEMA_VERSION } from "../scripts/lib/gtfsrt-json.mjs";
+import { adaptRtSnakeToCamel, usableRealtime, realtimeFreshness } from "../docs/lib/engine.mjs";
+
+const NOW = Date.parse("2025-08-12T08:00:00+09:00") / 1000;
+
+// 公開用 JSON（1 事業者分）。便ごとの TripUpdate と車両位置を 1 件ずつ
+function feedDoc(timestamp, tripId) {
+  const entity = [
+    { id: `tu-${tripId}`, trip_update: { trip: { trip_id: tripId }, stop_time_update: [{ stop_sequence: 1, departure: { delay: 60 } }] } },
+    { id: `vp-${tripId}`, vehicle: { trip: { trip_id: tripId }, position: { latitude: 35.6, longitude: 139.6 } } },
+  ];
+  return {
+    schema_version: RT_SCHEMA_VERSION,
+    fetched_at: new Date(NOW * 1000).toISOString(),
+    header: { gtfs_realtime_version: "2.0", incrementality: "FULL_DATASET", timestamp },
+    counts: { entity: 2, trip_update: 1, vehicle: 1, alert: 0 },
+    entity,
+  };
+}
+
+// 事業者が配る形の protobuf（運休便・通過・遅れ・車両位置・お知らせ）
+function encodedFeed() {
+  const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+  return FeedMessage.encode(FeedMessage.fromObject({
+    header: { gtfsRealtimeVersion: "2.0", incrementality: "FULL_DATASET", timestamp: NOW - 20 },
+    entity: [
+      { id: "1", tripUpdate: {
+        trip: { tripId: "R1_0800", startDate: "20250812" },
+        stopTimeUpdate: [
+          { stopSequence: 1, stopId: "100_1", departure: { delay: 120 } },
+          { stopSequence: 2, scheduleRelationship: "SKIPPED" },
+          { stopSequence: 3, arrival: { time: NOW + 1200, uncertainty: 30 } },
+        ],
+      } },
+      { id: "2", tripUpdate: { trip: { tripId: "R1_0830", scheduleRelationship: "CANCELED" } } },
+      { id: "3", vehicle: {
+        trip: { tripId: "R1_0800" }, vehicle: { id: "V7", label: "7号車" },
+        position: { latitude: 35.5, longitude: 139.75 }, currentStopSequence: 1, currentStatus: "STOPPED_AT", timestamp: NOW - 25,
+      } },
+      { id: "4", alert: {
+        informedEntity: [{ routeId: "R1" }], cause: "CONSTRUCTION", effect: "DETOUR",
+        headerText: { translation: [{ text: "迂回運行", language: "ja" }] },
+      } },
+    ],
+  })).finish();
+}
+
+test("convertFeedBuffer: protobuf を snake_case・列挙名の公開用 JSON にして、検査を通る", () => {
+  const fetchedAt = new Date(NOW * 1000);
+  const doc = convertFeedBuffer(encodedFeed(), { fetchedAt, kinds: ["trip_update", "vehicle", "alert"] });
+  assert.deepEqual(validateRealtimeJson(doc), []);
+  assert.equal(doc.schema_version, RT_SCHEMA_VERSION);
+  assert.equal(doc.fetched_at, fetchedAt.toISOString());
+  assert.deepEqual(doc.header, { gtfs_realtime_version: "2.0", incrementality: "FULL_DATASET", timestamp: NOW - 20 });
+  assert.deepEqual(doc.counts, { entity: 4, trip_update: 2, vehicle: 1, alert: 1 });
+
+  const [delayed, canceled, vehicle, alert] = doc.entity;
+  assert.deepEqual(delayed, { id: "1", trip_update: {
+    trip: { trip_id: "R1_0800", start_date: "20250812" },
+    stop_time_update: [
+      { stop_sequence: 1, stop_id: "100_1", arrival: null, departure: { delay: 120 } },
+      { stop_sequence: 2, arrival: null, departure: null, schedule_relationship: "SKIPPED" },
+      { stop_sequence: 3, arrival: { time: NOW + 1200, uncertainty: 30 }, departure: null },
+    ],
+  } });
+  assert.deepEqual(canceled.trip_update, { trip: { trip_id: "R1_0830", schedule_relationship: "CANCELED" }, stop_time_update: [] });
+  assert.deepEqual(vehicle.vehicle, {
+    trip: { trip_id: "R1_0800" }, vehicle: { id: "V7", label: "7号車" },
+    position: { latitude: 35.5, longitude: 139.75 }, current_stop_sequence: 1, current_status: "STOPPED_AT", timestamp: NOW - 25,
+  });
+  assert.deepEqual(alert.alert, {
+    active_period: [], informed_entity: [{ route_id: "R1" }], cause: "CONSTRUCTION", effect: "DETOUR",
+    header_text: [{ text: "迂回運行", language: "ja" }], description_text: [], url: [],
+  });
+
+  // 既定では TripUpdate だけ
+  assert.deepEqual(convertFeedBuffer(encodedFeed(), { fetchedAt }).entity.map(e => e.id), ["1", "2"]);
+});
+
+test("validateRealtimeJson: 壊れた文書は場所つきで指摘する", () => {
+  assert.deepEqual(validateRealtimeJson(null), ["(root): オブジェクトではありません"]);
+
+  const doc = convertFeedBuffer(encodedFeed(), { fetchedAt: new Date(NOW * 1000), kinds: ["trip_update", "vehicle"] });
+  const bad = structuredClone(doc);
+  bad.schema_version = 0;
+  bad.header.timestamp = "1754953200";
+  bad.entity[0].trip_update.stop_time_update[0].stop_sequence = "1";
+  bad.entity[1].trip_update.trip.schedule_relationship = "CANCELLED";
+  bad.entity[2].vehicle.position.latitude = 135.5;
+  bad.entity.push({ id: "x" });
+  const errors = validateRealtimeJson(bad);
+  for (const p of [
+    "schema_version", "header.timestamp", "entity[0].trip_update.stop_time_update[0].stop_sequence",
+    "entity[1].trip_update.trip.schedule_relationship", "entity[2].vehicle.position.latitude", "entity[3]", "counts.entity",
+  ]) assert.ok(errors.some(e => e.startsWith(`${p}: `)), `${p} の指摘が無い: ${errors.join(" / ")}`);
+  assert.deepEqual(validateRealtimeJson(doc), []);
+});
+
+test("mergeRealtimeJson: 1 社の更新が止まっても、ほかの社のリアルタイム情報は使う", () => {
+  const fresh = feedDoc(NOW - 30, "A1");
+  const stale = prefixRealtimeIds(feedDoc(NOW - 3 * 3600, "B1"), "b");
+  const merged = mergeRealtimeJson([fresh, stale]);
+  assert.deepEqual(validateRealtimeJson(merged), []);
+  assert.equal(merged.header.timestamp, NOW - 30);
+  assert.deepEqual(merged.entity.map(e => [e.id, e.feed_timestamp]), [
+    ["tu-A1", NOW - 30], ["vp-A1", NOW - 30], ["b:tu-B1", NOW - 3 * 3600], ["b:vp-B1", NOW - 3 * 3600],
+  ]);
+
+  const rt = adaptRtSnakeToCamel(merged);
+  assert.equal(realtimeFreshness(rt, NOW), "fresh");
+  const usable = usableRealtime(rt, NOW);
+  assert.deepEqual(usable?.entity.filter(e => e.tripUpdate).map(e => e.tripUpdate?.trip.tripId), ["A1"]);
+  assert.deepEqual(usable?.vehicles?.map(v => v.tripId), ["A1"]);
+});
+
+test("mergeRealtimeJson: 1 件ならそのまま、両方古ければ盤面は時刻表どおり", () => {
+  const one = feedDoc(NOW, "A1");
+  assert.equal(mergeRealtimeJson([one]), one);
+  assert.equal(one.entity[0].feed_timestamp, undefined);
+
+  const merged = mergeRealtimeJson([feedDoc(NOW - 3 * 3600, "A1"), prefixRealtimeIds(feedDoc(NOW - 4 * 3600, "B1"), "b")]);
+  assert.equal(usableRealtime(adaptRtSnakeToCamel(merged), NOW), undefined);
+});
@@ -0,0 +1,73 @@
+// test/service-day.test.mjs
+// 運行日（JST）の境目を時計を固定して確かめる：深夜便、端末のタイムゾーン、時刻表の最終日。
+// フィクスチャは engine.test.mjs と同じ test/fixtures/mini-feed（R1_LATE が 24:20 に 100_1 を出る）。
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { loadFeed, fileFetcher, adaptRtSnakeToCamel, todayYmdJst, toSecs } from "../docs/lib/engine.mjs";
+
+const FEED_DIR = fileURLToPath(new URL("./fixtures/mini-feed/", import.meta.url));
+const at = (iso) => Date.parse(iso);
+const openFeed = (now) => loadFeed(fileFetcher(FEED_DIR), { clock: () => now });
+const departures = async (iso, rt) => (await openFeed(at(iso))).departures({ from: "100_1", to: "300_1", rt });
+
+// 端末のタイムゾーンを一時的に変える（Node は process.env.TZ の代入をその場で反映する）
+async function withTz(tz, fn) {
+  const prev = process.env.TZ;
+  process.env.TZ = tz;
+  try {
+    return await fn();
+  } finally {
+    if (prev === undefined) delete process.env.TZ;
+    else process.env.TZ = prev;
+  }
+}
+
+test("深夜 00:20: 前日の運行日の 24:20 発が tripId@-1 として当日の時刻軸に載る", async () => {
+  const now = at("2025-08-13T00:20:00+09:00");
+  assert.equal(todayYmdJst(now), "20250813");
+  const feed = await openFeed(now);
+  const { idx } = await feed.pairIndex({ from: "100_1", to: "300_1" });
+  assert.ok(idx.stopTimesByTrip.has("R1_LATE@-1"));   // 前日の運行日の分
+  assert.ok(idx.stopTimesByTrip.has("R1_LATE"));      // 当日の運行日の分（今夜 24:20 発）
+
+  const late = (await feed.departures({ from: "100_1", to: "300_1" })).filter(l => l.trip_id === "R1_LATE");
+  assert.deepEqual(late.map(l => [l.sched_departure, l.service_day_offset]), [
+    [toSecs("00:20:00"), -1],
+    [toSecs("24:20:00"), undefined],
+  ]);
+});
+
+test("深夜 00:20: start_date が前日の更新は前日の運行日の便に当たる", async () => {
+  const now = at("2025-08-13T00:20:00+09:00");
+  const rt = adaptRtSnakeToCamel({
+    header: { timestamp: Math.floor(now / 1000) },
+    entity: [{ id: "1", trip_update: { trip: { trip_id: "R1_LATE", start_date: "20250812" }, stop_time_update: [{ stop_sequence: 1, departure: { delay: 180 } }] } }],
+  });
+  const late = (await departures("2025-08-13T00:20:00+09:00", rt)).filter(l => l.trip_id === "R1_LATE");
+  assert.equal(late.find(l => l.service_day_offset === -1)?.live_departure, toSecs("00:23:00"));
+  assert.equal(late.find(l => !l.service_day_offset)?.live_departure, undefined);
+});
+
+test("夏時間のあるタイムゾーンの端末でも同じ運行日・同じ時刻", async () => {
+  const iso = "2025-08-13T00:20:00+09:00";
+  const jst = await departures(iso);
+  const ny = await withTz("America/New_York", async () => {
+    assert.equal(new Date(at(iso)).getDate(), 12);   // 端末の暦では前日（EDT）
+    assert.equal(todayYmdJst(at(iso)), "20250813");
+    return departures(iso);
+  });
+  assert.deepEqual(ny, jst);
+});
+
+test("calendar の end_date 当日は走り、翌日は前日分の深夜便だけ", async () => {
+  const lastDay = await departures("2025-08-31T10:00:00+09:00");
+  assert.equal(lastDay.filter(l => !l.service_day_offset).length, 5);
+
+  const nextDay = await departures("2025-09-01T00:10:00+09:00");
+  assert.deepEqual(nextDay.map(l => [l.trip_id, l.service_day_offset]), [["R1_LATE", -1]]);
+  assert.deepEqual(await departures("2025-09-02T00:10:00+09:00"), []);
+
+  assert.equal((await openFeed(at("2025-08-31T10:00:00+09:00"))).validity()?.state, "expiring");
+  assert.equal((await openFeed(at("2025-09-01T00:10:00+09:00"))).validity()?.state, "expired");
+});